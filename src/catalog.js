@@ -0,0 +1,98 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { parseRdf } from './rdf-parser.js';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const OWL_ONTOLOGY = 'http://www.w3.org/2002/07/owl#Ontology';
+const OWL_IMPORTS = 'http://www.w3.org/2002/07/owl#imports';
+
+/**
+ * Load a catalog mapping ontology IRIs to local files.
+ *
+ * Two formats are accepted:
+ *  - an OASIS XML catalog (e.g. Protégé's catalog-v001.xml), using <uri name="..." uri="..."/>
+ *    and <rewriteURI uriStartString="..." rewritePrefix="..."/> entries;
+ *  - a JSON object of { "<iri>": "<path>" }.
+ * Relative paths are resolved against the catalog's own directory.
+ * @param {string} catalogPath - Path to the catalog file
+ * @returns {Promise<{resolve: function(string): (string|null)}>}
+ */
+export async function loadCatalog(catalogPath) {
+  const content = await readFile(catalogPath, 'utf-8');
+  const baseDir = path.dirname(catalogPath);
+  const uris = new Map();
+  const rewrites = []; // [uriStartString, rewritePrefix]
+
+  if (content.trimStart().startsWith('{')) {
+    for (const [iri, file] of Object.entries(JSON.parse(content))) {
+      uris.set(iri, path.resolve(baseDir, file));
+    }
+  } else {
+    for (const [, tag, attrs] of content.matchAll(/<(?:\w+:)?(uri|rewriteURI)\b([^>]*)>/g)) {
+      const attr = (name) => (attrs.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`)) || [])[1];
+      if (tag === 'uri' && attr('name') && attr('uri')) {
+        uris.set(attr('name'), path.resolve(baseDir, attr('uri')));
+      } else if (tag === 'rewriteURI' && attr('uriStartString') && attr('rewritePrefix')) {
+        rewrites.push([attr('uriStartString'), path.resolve(baseDir, attr('rewritePrefix'))]);
+      }
+    }
+  }
+
+  return {
+    resolve(iri) {
+      // Imports are often written with or without a trailing separator
+      for (const candidate of [iri, iri.replace(/[#/]$/, ''), `${iri}#`, `${iri}/`]) {
+        if (uris.has(candidate)) return uris.get(candidate);
+      }
+      for (const [start, prefix] of rewrites) {
+        if (iri.startsWith(start)) return path.join(prefix, iri.slice(start.length));
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Follow owl:imports transitively through a catalog, loading each imported ontology from disk.
+ * Nothing is fetched over the network: imports the catalog doesn't cover are reported as missing.
+ * Import chains that lead back to the importing ontology itself stop there.
+ * @param {Array} quads - Quads of the importing vocabulary
+ * @param {object} catalog - As returned by loadCatalog
+ * @param {object} [parseOptions] - Passed through to parseRdf
+ * @returns {Promise<{quads: Array, imports: Array<{iri: string, path: string}>, missing: string[]}>}
+ *   quads holds the statements of all imported ontologies (not including the input quads).
+ */
+export async function resolveImports(quads, catalog, parseOptions = {}) {
+  const imported = [];
+  const imports = [];
+  const missing = [];
+  // Imports are often written with or without a trailing separator
+  const key = (iri) => iri.replace(/[#/]$/, '');
+  const seen = new Set(ontologiesOf(quads).map(key));
+  const queue = importsOf(quads);
+
+  while (queue.length) {
+    const iri = queue.shift();
+    if (seen.has(key(iri))) continue;
+    seen.add(key(iri));
+    const file = catalog.resolve(iri);
+    if (!file) {
+      missing.push(iri);
+      continue;
+    }
+    const fileQuads = await parseRdf(file, undefined, parseOptions);
+    imported.push(...fileQuads);
+    imports.push({ iri, path: file });
+    queue.push(...importsOf(fileQuads));
+  }
+
+  return { quads: imported, imports, missing };
+}
+
+function ontologiesOf(quads) {
+  return quads.filter(q => q.predicate.value === RDF_TYPE && q.object.value === OWL_ONTOLOGY).map(q => q.subject.value);
+}
+
+function importsOf(quads) {
+  return quads.filter(q => q.predicate.value === OWL_IMPORTS).map(q => q.object.value);
+}
@@ -1,46 +1,159 @@
 #!/usr/bin/env node
 
-import { generateSpec, applyPy2Ordering } from './spec-generator.js';
+import { generateSpec, exportSpecModel, applyPy2Ordering } from './spec-generator.js';
+import { RDF_FORMATS } from './rdf-parser.js';
+import { SpecgenParseError } from './errors.js';
+import { generateMarkdown } from './markdown.js';
+import { generateSite } from './site.js';
+import { buildClassDiagram, diagramToDot, diagramToSvg } from './diagram.js';
+import { diffVocabularies, formatDiffText, formatDiffHtml, formatDiffMarkdown } from './diff.js';
+import { lintVocabulary, formatLintReport, LINT_RULES, SEVERITIES } from './lint.js';
 import { readFile, writeFile } from 'fs/promises';
 
 const args = process.argv.slice(2);
 
+const OUTPUT_FORMATS = ['html', 'json', 'markdown', 'site', 'dot', 'svg'];
+
+if (args[0] === 'lint') process.exit(await lint(args.slice(1)));
+if (args[0] === 'diff') process.exit(await diff(args.slice(1)));
+
 if (args.length < 2) {
   console.error('Usage: specgen2k <rdf-file> <template> [options]');
+  console.error('       specgen2k <rdf-file> --format json|markdown|dot|svg [options]');
+  console.error('       specgen2k <rdf-file> [<index-template>] --format site --output <dir> [options]');
+  console.error('       specgen2k lint <rdf-file> [options]   (run without <rdf-file> for its options)');
+  console.error('       specgen2k diff <old-rdf-file> <new-rdf-file> [options]   (run without files for its options)');
+  console.error('');
+  console.error('Use - as <rdf-file> to read RDF from stdin. <rdf-file> may also be a quoted glob');
+  console.error('pattern; all matching files are merged into one vocabulary.');
   console.error('');
   console.error('Options:');
-  console.error('  --doc-dir <dir>                    Directory with .en doc fragments');
+  console.error('  --doc-dir <dir>                    Directory with <term>.<lang> doc fragments (default language: en)');
   console.error('  --output <file>                    Output file (default: stdout)');
+  console.error(`  --format <format>                  ${OUTPUT_FORMATS.join(', ')} (default: html); only html needs a <template>.`);
+  console.error('                                     json writes the spec model described by schema/spec-model.schema.json,');
+  console.error('                                     markdown a built-in Markdown spec, site index.html and a page per term');
+  console.error('                                     into the --output directory, dot and svg a class diagram (templates');
+  console.error('                                     get the SVG as {{ diagram }})');
+  console.error('  --index-template <file>            Index page template for --format site (default: templates/site-index.njk)');
+  console.error('  --term-template <file>             Term page template for --format site (default: templates/site-term.njk)');
+  console.error('  --title <text>                     Spec title (default: the ontology\'s dcterms:title)');
+  console.error('  --namespace <iri>                  Vocabulary namespace (default: detect from vann, isDefinedBy, ...)');
+  console.error('  --prefix <prefix>                  Short prefix for the namespace, e.g. foaf (default: detect)');
+  console.error('  --vocab-meta <json>                JSON file of template metadata overriding the ontology header,');
+  console.error('                                     e.g. {"title": "...", "prefix": "ex", "versionInfo": "1.2"}');
+  console.error('  --fields <json>                    JSON file mapping term fields to predicates in priority order,');
+  console.error('                                     e.g. {"comment": ["skos:definition", "rdfs:comment"]}; other keys');
+  console.error('                                     add custom fields, available to templates as term.custom.<key>');
   console.error('  --replicate-ancient-bugs <json>    Apply ordering/bug overrides from config');
   console.error('  --fake-py-dicts                    Simulate CPython 2 dict ordering');
+  console.error('  --merge-rdf <path>                 Merge another RDF file or glob into the main vocabulary (repeatable)');
+  console.error('  --graph <iri>                      Only use statements from this named graph, or "default" (repeatable)');
   console.error('  --extra-rdf <name>=<path>          Additional RDF file (repeatable)');
+  console.error('  --lang <chain>                     Language fallback chain for labels, comments and doc fragments,');
+  console.error('                                     e.g. fr,en, (a trailing empty entry means untagged literals)');
+  console.error('  --catalog <file>                   XML (OASIS) or JSON catalog mapping owl:imports IRIs to local files');
+  console.error('  --labels <file>                    RDF file of labels and comments for external terms (repeatable)');
+  console.error('  --lenient                          Skip malformed RDF statements with a warning instead of failing');
+  console.error(`  --input-format <format>            Format of <rdf-file>: ${RDF_FORMATS.join(', ')} (default: detect)`);
+  console.error('  --jsonld-context <iri>=<path>      Local copy of a remote JSON-LD @context (repeatable)');
+  console.error('  --link-target <prefix>=<url>       Link <code>prefix:Term</code> in doc fragments to <url>, where {name}');
+  console.error('                                     stands for the term, e.g. dcat=https://www.w3.org/ns/dcat#{name} (repeatable)');
+  console.error('  --linkify-bare                     Also link prefixed names outside <code> in doc fragments');
+  console.error('  --term-anchor <pattern>            In-page anchor of a term for doc fragment links, where {name} stands');
+  console.error('                                     for the term, e.g. term_{name} (default: as the template\'s term ids)');
+  console.error('  --previous <rdf-file>              RDF of the previous release; templates get the changes since it as');
+  console.error('                                     {{ changes }} and a ready-made section as {{ changesHtml }}');
+  console.error('  --check-links                      Check HTML output for broken #anchors, duplicate ids and terms without anchors');
+  console.error('');
+  console.error('Exit status: 0 on success, 1 on usage or other errors, 2 if an RDF file fails to parse,');
+  console.error('3 if --check-links finds problems (the output is still written).');
   console.error('');
   console.error('Examples:');
   console.error('  specgen2k ../third_party/xmlns-foaf/xmlns-foaf-rdf.xml templates/foaf.njk --doc-dir ../third_party/xmlns-foaf/doc --output foaf.html');
   console.error('  specgen2k ../third_party/xmlns-foaf/xmlns-foaf-rdf.xml templates/foaf.njk --doc-dir ../third_party/xmlns-foaf/doc --replicate-ancient-bugs templates/foaf.ancient-bugs.json');
+  console.error("  specgen2k 'vocab/*.ttl' templates/dcterms.njk --output vocab.html");
+  console.error('  specgen2k vocab.ttl --format json --output vocab.json');
+  console.error('  specgen2k vocab.ttl --format markdown --doc-dir doc --output vocab.md');
+  console.error('  specgen2k vocab.ttl --format site --doc-dir doc --output site/');
+  console.error('  specgen2k vocab.ttl --format dot | dot -Tpng -o classes.png');
+  console.error('  specgen2k thesaurus.ttl templates/skos.njk --lang en --output thesaurus.html');
+  console.error('  rapper -o turtle vocab.owl | specgen2k - templates/dcterms.njk --input-format turtle');
   process.exit(1);
 }
 
 const rdfPath = args[0];
-const templatePath = args[1];
+// The template may be left out when it isn't needed (any --format but html)
+const templatePath = args[1].startsWith('--') ? null : args[1];
 
 let docDir = null;
 let outputPath = null;
 let ancientBugsPath = null;
+let vocabMetaPath = null;
+let title = null;
 let fakePyDicts = false;
+let checkLinks = false;
+let linkifyBareNames = false;
+let previousRdfPath;
+let termAnchor;
+let format = 'html';
+let indexTemplatePath;
+let termTemplatePath;
+const input = inputOptions();
+const labelFiles = [];
 const extraRdf = []; // { name, path }
+const linkTargets = {}; // prefix -> url template
 
-for (let i = 2; i < args.length; i++) {
+for (let i = templatePath ? 2 : 1; i < args.length; i++) {
+  let last;
+  try {
+    last = readInputOption(args, i, input);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  if (last !== -1) { i = last; continue; }
   if (args[i] === '--doc-dir' && args[i + 1]) docDir = args[++i];
   if (args[i] === '--output' && args[i + 1]) outputPath = args[++i];
   if (args[i] === '--replicate-ancient-bugs' && args[i + 1]) ancientBugsPath = args[++i];
+  if (args[i] === '--vocab-meta' && args[i + 1]) vocabMetaPath = args[++i];
+  if (args[i] === '--title' && args[i + 1]) title = args[++i];
   if (args[i] === '--fake-py-dicts') { fakePyDicts = true; continue; }
+  if (args[i] === '--check-links') { checkLinks = true; continue; }
+  if (args[i] === '--linkify-bare') { linkifyBareNames = true; continue; }
+  if (args[i] === '--format' && args[i + 1]) {
+    format = args[++i];
+    if (!OUTPUT_FORMATS.includes(format)) {
+      console.error(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+      process.exit(1);
+    }
+  }
+  if (args[i] === '--index-template' && args[i + 1]) indexTemplatePath = args[++i];
+  if (args[i] === '--term-template' && args[i + 1]) termTemplatePath = args[++i];
+  if (args[i] === '--labels' && args[i + 1]) labelFiles.push(args[++i]);
+  if (args[i] === '--previous' && args[i + 1]) previousRdfPath = args[++i];
+  if (args[i] === '--term-anchor' && args[i + 1]) termAnchor = args[++i];
   if (args[i] === '--extra-rdf' && args[i + 1]) {
     const arg = args[++i];
     const eq = arg.indexOf('=');
     if (eq === -1) { console.error('--extra-rdf requires name=path format'); process.exit(1); }
     extraRdf.push({ name: arg.slice(0, eq), path: arg.slice(eq + 1) });
   }
+  if (args[i] === '--link-target' && args[i + 1]) {
+    const arg = args[++i];
+    const eq = arg.indexOf('=');
+    if (eq === -1) { console.error('--link-target requires prefix=url format'); process.exit(1); }
+    linkTargets[arg.slice(0, eq)] = arg.slice(eq + 1);
+  }
+}
+
+if (!templatePath && format === 'html') {
+  console.error('A <template> is required for HTML output');
+  process.exit(1);
+}
+if (format === 'site' && !outputPath) {
+  console.error('--format site needs an --output directory');
+  process.exit(1);
 }
 
 let ancientBugs = null;
@@ -49,15 +162,254 @@ if (ancientBugsPath) {
   ancientBugs = JSON.parse(raw);
 }
 
+const vocabMeta = vocabMetaPath ? JSON.parse(await readFile(vocabMetaPath, 'utf-8')) : {};
+if (title) vocabMeta.title = title;
+const { namespace, prefix, inputFormat, lenient, catalog, languages, graphs, jsonldContexts } = input;
+const fields = input.fieldsPath ? JSON.parse(await readFile(input.fieldsPath, 'utf-8')) : undefined;
+
+const linkProblems = [];
 try {
-  const html = await generateSpec({ rdfPath, templatePath, docDir, ancientBugs, extraRdf, fakePyDicts });
-  if (outputPath) {
-    await writeFile(outputPath, html);
-    console.error(`Written to ${outputPath}`);
+  const rdfSources = input.mergeRdf.length ? [rdfPath, ...input.mergeRdf] : rdfPath;
+  const options = {
+    rdfPath: rdfSources, templatePath, docDir, vocabMeta, ancientBugs, extraRdf, fakePyDicts, jsonldContexts, inputFormat, graphs, lenient, catalog, languages, namespace, prefix, labelFiles, fields, linkTargets, linkifyBareNames, termAnchor, previousRdfPath,
+    onWarning: (warning) => console.error(
+      warning instanceof SpecgenParseError ? warning.toDiagnostic('warning') : `warning: ${warning.message}`,
+    ),
+    onLinkProblem: checkLinks ? (problem) => linkProblems.push(problem) : undefined,
+  };
+  if (format === 'site') {
+    const files = await generateSite({ ...options, outputDir: outputPath, indexTemplatePath: indexTemplatePath ?? templatePath ?? undefined, termTemplatePath });
+    console.error(`Written ${files.length} pages to ${outputPath}`);
   } else {
-    process.stdout.write(html);
+    let output;
+    if (format === 'json') output = `${JSON.stringify(await exportSpecModel(options), null, 2)}\n`;
+    else if (format === 'markdown') output = await generateMarkdown(options);
+    else if (format === 'dot') output = diagramToDot(buildClassDiagram(await exportSpecModel(options)));
+    else if (format === 'svg') output = diagramToSvg(buildClassDiagram(await exportSpecModel(options)));
+    else output = await generateSpec(options);
+    if (outputPath) {
+      await writeFile(outputPath, output);
+      console.error(`Written to ${outputPath}`);
+    } else {
+      process.stdout.write(output);
+    }
   }
 } catch (err) {
+  if (err instanceof SpecgenParseError) {
+    console.error(err.toDiagnostic());
+    process.exit(2);
+  }
   console.error(`Error: ${err.message}`);
   process.exit(1);
 }
+
+for (const { kind, message, line, context } of linkProblems) {
+  console.error(`${[outputPath || '<stdout>', line].filter(Boolean).join(':')}: ${kind}: ${message}`);
+  if (context) console.error(`    ${context}`);
+}
+if (linkProblems.length) process.exit(3);
+
+// Options that decide which vocabulary is read, shared by generation, lint and diff so that
+// all of them see the same terms
+function inputOptions() {
+  return {
+    namespace: undefined, prefix: undefined, inputFormat: undefined, lenient: false, catalog: null,
+    languages: null, fieldsPath: null, mergeRdf: [], graphs: [], jsonldContexts: {}, // iri -> path
+  };
+}
+
+// Helper: read the input option at args[i] (see inputOptions) into `input`. Returns the index
+// of its last argument, or -1 if args[i] isn't an input option; throws on a malformed value.
+function readInputOption(args, i, input) {
+  if (args[i] === '--lenient') { input.lenient = true; return i; }
+  const value = args[i + 1];
+  if (!value) return -1;
+  if (args[i] === '--namespace') input.namespace = value;
+  else if (args[i] === '--prefix') input.prefix = value;
+  else if (args[i] === '--catalog') input.catalog = value;
+  else if (args[i] === '--fields') input.fieldsPath = value;
+  else if (args[i] === '--merge-rdf') input.mergeRdf.push(value);
+  else if (args[i] === '--graph') input.graphs.push(value);
+  else if (args[i] === '--lang') input.languages = value.split(',').map(l => l.trim());
+  else if (args[i] === '--input-format') {
+    if (!RDF_FORMATS.includes(value)) throw new Error(`--input-format must be one of: ${RDF_FORMATS.join(', ')}`);
+    input.inputFormat = value;
+  } else if (args[i] === '--jsonld-context') {
+    const eq = value.lastIndexOf('=');
+    if (eq === -1) throw new Error('--jsonld-context requires iri=path format');
+    input.jsonldContexts[value.slice(0, eq)] = value.slice(eq + 1);
+  } else return -1;
+  return i + 1;
+}
+
+/**
+ * specgen2k lint: report vocabulary quality problems instead of generating a spec.
+ * Returns the exit status: 1 if any issue reaches the --fail-on severity (or on usage
+ * and other errors), 2 if an RDF file fails to parse, 0 otherwise.
+ */
+async function lint(args) {
+  if (args.length < 1) {
+    console.error('Usage: specgen2k lint <rdf-file> [options]');
+    console.error('');
+    console.error('Options:');
+    console.error('  --doc-dir <dir>                    Also check <term>.<lang> doc fragments');
+    console.error('  --namespace <iri>                  Vocabulary namespace (default: detect)');
+    console.error('  --prefix <prefix>                  Prefix used in doc fragment <code> references (default: detect)');
+    console.error('  --format <format>                  text or json (default: text)');
+    console.error(`  --severity <rule>=<level>          Set a rule to ${SEVERITIES.join(', ')} (repeatable)`);
+    console.error('  --fail-on <level>                  Lowest severity that fails the run: error, warning or info (default: error)');
+    console.error('');
+    console.error('These select the vocabulary as for generating a spec:');
+    console.error('  --merge-rdf <path>                 Merge another RDF file or glob into the main vocabulary (repeatable)');
+    console.error('  --graph <iri>                      Only use statements from this named graph, or "default" (repeatable)');
+    console.error('  --catalog <file>                   XML (OASIS) or JSON catalog mapping owl:imports IRIs to local files');
+    console.error('  --fields <json>                    JSON file mapping term fields to predicates');
+    console.error('  --lang <chain>                     Language fallback chain, e.g. fr,en,');
+    console.error(`  --input-format <format>            Format of <rdf-file>: ${RDF_FORMATS.join(', ')} (default: detect)`);
+    console.error('  --jsonld-context <iri>=<path>      Local copy of a remote JSON-LD @context (repeatable)');
+    console.error('  --lenient                          Skip malformed RDF statements with a warning instead of failing');
+    console.error('');
+    console.error('Rules (default severity):');
+    for (const [rule, severity] of Object.entries(LINT_RULES)) console.error(`  ${rule.padEnd(35)}${severity}`);
+    console.error('');
+    console.error('Exit status: 0 if no issue reaches --fail-on, 1 if one does (or on usage and other errors),');
+    console.error('2 if an RDF file fails to parse.');
+    return 1;
+  }
+
+  const rdfPath = args[0];
+  let docDir = null;
+  let format = 'text';
+  let failOn = 'error';
+  const input = inputOptions();
+  const severities = {};
+
+  for (let i = 1; i < args.length; i++) {
+    let last;
+    try {
+      last = readInputOption(args, i, input);
+    } catch (err) {
+      console.error(err.message);
+      return 1;
+    }
+    if (last !== -1) { i = last; continue; }
+    if (args[i] === '--doc-dir' && args[i + 1]) docDir = args[++i];
+    if (args[i] === '--format' && args[i + 1]) format = args[++i];
+    if (args[i] === '--fail-on' && args[i + 1]) failOn = args[++i];
+    if (args[i] === '--severity' && args[i + 1]) {
+      const arg = args[++i];
+      const eq = arg.indexOf('=');
+      if (eq === -1) { console.error('--severity requires rule=level format'); return 1; }
+      severities[arg.slice(0, eq)] = arg.slice(eq + 1);
+    }
+  }
+  if (!['text', 'json'].includes(format)) { console.error('--format must be text or json'); return 1; }
+  const failing = SEVERITIES.slice(0, SEVERITIES.indexOf(failOn) + 1);
+  if (!failing.length || failOn === 'off') { console.error('--fail-on must be error, warning or info'); return 1; }
+
+  try {
+    const { mergeRdf, fieldsPath, ...selection } = input;
+    const issues = await lintVocabulary({
+      ...selection,
+      rdfPath: mergeRdf.length ? [rdfPath, ...mergeRdf] : rdfPath,
+      docDir, severities,
+      fields: fieldsPath ? JSON.parse(await readFile(fieldsPath, 'utf-8')) : undefined,
+      onWarning: (warning) => console.error(
+        warning instanceof SpecgenParseError ? warning.toDiagnostic('warning') : `warning: ${warning.message}`,
+      ),
+    });
+    process.stdout.write(format === 'json' ? `${JSON.stringify(issues, null, 2)}\n` : formatLintReport(issues));
+    return issues.some(i => failing.includes(i.severity)) ? 1 : 0;
+  } catch (err) {
+    if (err instanceof SpecgenParseError) {
+      console.error(err.toDiagnostic());
+      return 2;
+    }
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+}
+
+/**
+ * specgen2k diff: compare two versions of a vocabulary for a release changelog.
+ * Returns the exit status: 1 with --fail-on-breaking if there are breaking changes (or on
+ * usage and other errors), 2 if an RDF file fails to parse, 0 otherwise.
+ */
+async function diff(args) {
+  if (args.length < 2) {
+    console.error('Usage: specgen2k diff <old-rdf-file> <new-rdf-file> [options]');
+    console.error('');
+    console.error('Reports added, removed and renamed terms and changed labels, comments, statuses, domains,');
+    console.error('ranges and superclasses; removals, renames and lost domain/range/superclass values are breaking.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --format <format>                  text, json, html or markdown (default: text); html and markdown');
+    console.error('                                     write a "Changes since previous version" section to include in a spec');
+    console.error('  --namespace <iri>                  Vocabulary namespace of both versions (default: detect each)');
+    console.error('  --prefix <prefix>                  Prefix to show terms with (default: detect)');
+    console.error('  --fail-on-breaking                 Exit with status 1 if there are breaking changes');
+    console.error('');
+    console.error('These read both versions as for generating a spec:');
+    console.error('  --graph <iri>                      Only compare statements from this named graph, or "default" (repeatable)');
+    console.error('  --catalog <file>                   XML (OASIS) or JSON catalog mapping owl:imports IRIs to local files');
+    console.error('  --labels <file>                    RDF file of labels and comments for external terms (repeatable)');
+    console.error('  --fields <json>                    JSON file mapping term fields to predicates');
+    console.error('  --lang <chain>                     Language fallback chain, e.g. fr,en,');
+    console.error(`  --input-format <format>            Format of both files: ${RDF_FORMATS.join(', ')} (default: detect)`);
+    console.error('  --jsonld-context <iri>=<path>      Local copy of a remote JSON-LD @context (repeatable)');
+    console.error('  --lenient                          Skip malformed RDF statements with a warning instead of failing');
+    console.error('');
+    console.error('Exit status: 0 on success, 1 on breaking changes with --fail-on-breaking (or on usage and');
+    console.error('other errors), 2 if an RDF file fails to parse.');
+    return 1;
+  }
+
+  const [oldRdfPath, newRdfPath] = args;
+  let format = 'text';
+  let failOnBreaking = false;
+  const input = inputOptions();
+  const labelFiles = [];
+
+  for (let i = 2; i < args.length; i++) {
+    let last;
+    try {
+      last = readInputOption(args, i, input);
+    } catch (err) {
+      console.error(err.message);
+      return 1;
+    }
+    if (last !== -1) { i = last; continue; }
+    if (args[i] === '--format' && args[i + 1]) format = args[++i];
+    if (args[i] === '--labels' && args[i + 1]) labelFiles.push(args[++i]);
+    if (args[i] === '--fail-on-breaking') { failOnBreaking = true; continue; }
+  }
+  const formatters = {
+    text: formatDiffText,
+    json: (changes) => `${JSON.stringify(changes, null, 2)}\n`,
+    html: formatDiffHtml,
+    markdown: formatDiffMarkdown,
+  };
+  if (!formatters[format]) { console.error(`--format must be one of: ${Object.keys(formatters).join(', ')}`); return 1; }
+  if (input.mergeRdf.length) { console.error('--merge-rdf is not supported by diff; pass each version as a quoted glob'); return 1; }
+
+  try {
+    const { mergeRdf, fieldsPath, ...selection } = input;
+    const changes = await diffVocabularies({
+      ...selection,
+      oldRdfPath, newRdfPath, labelFiles,
+      fields: fieldsPath ? JSON.parse(await readFile(fieldsPath, 'utf-8')) : undefined,
+      onWarning: (warning) => console.error(
+        warning instanceof SpecgenParseError ? warning.toDiagnostic('warning') : `warning: ${warning.message}`,
+      ),
+    });
+    process.stdout.write(formatters[format](changes));
+    return failOnBreaking && changes.breaking ? 1 : 0;
+  } catch (err) {
+    if (err instanceof SpecgenParseError) {
+      console.error(err.toDiagnostic());
+      return 2;
+    }
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+}
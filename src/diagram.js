@@ -0,0 +1,323 @@
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+
+// Ranges that are values rather than classes; properties with these ranges get no edge
+const LITERAL_TYPES = new Set([`${RDFS}Literal`, `${RDF}langString`, `${RDF}HTML`, `${RDF}XMLLiteral`, `${RDF}PlainLiteral`]);
+
+// SVG layout, in pixels
+const FONT_SIZE = 12;
+const CHAR_WIDTH = 7;
+const NODE_HEIGHT = 28;
+const NODE_GAP = 60;
+const LAYER_GAP = 90;
+const MARGIN = 20;
+const SWEEPS = 4;
+
+/**
+ * Build a class diagram from extractVocabulary output (or a spec model): a node per class
+ * and per external class it refers to, and edges for rdfs:subClassOf (child -> parent),
+ * properties (domain -> range; object properties only), owl:disjointWith and owl:inverseOf
+ * (an inverse pair drawn as one edge with arrows at both ends).
+ * Class expressions (unions, restrictions, ...) aren't drawn.
+ * @param {object} vocab - { classes, properties, datatypes?, externalClasses? }
+ * @returns {{nodes: Array<{id: string, label: string, external: boolean}>,
+ *   edges: Array<{from: string, to: string, kind: string, label: string, inverse: boolean}>}}
+ *   kind is 'subClassOf', 'property' or 'disjointWith'.
+ */
+export function buildClassDiagram(vocab) {
+  const local = new Map(vocab.classes.map(c => [c.uri, c]));
+  const datatypes = new Set((vocab.datatypes || []).map(d => d.uri));
+  const external = new Map((vocab.externalClasses || []).map(c => [c.uri, c]));
+  const nodes = new Map();
+  const nodeFor = (uri, ref = external.get(uri)) => {
+    if (!nodes.has(uri)) {
+      const curie = ref?.curie && !ref.curie.includes('://') ? ref.curie : '';
+      nodes.set(uri, {
+        id: uri,
+        label: local.get(uri)?.localName || curie || ref?.localName || localNameOf(uri),
+        external: !local.has(uri),
+      });
+    }
+    return uri;
+  };
+  for (const cls of vocab.classes) nodeFor(cls.uri);
+
+  const edges = [];
+  const disjoint = new Set();
+  for (const cls of vocab.classes) {
+    for (const ref of cls.subClassOfFormatted || []) {
+      if (ref.op || !ref.uri) continue;
+      edges.push({ from: cls.uri, to: nodeFor(ref.uri, ref), kind: 'subClassOf', label: '', inverse: false });
+    }
+    for (const ref of cls.disjointWithFormatted || []) {
+      if (ref.op || !ref.uri) continue;
+      const key = [cls.uri, ref.uri].sort().join(' ');
+      if (disjoint.has(key)) continue;
+      disjoint.add(key);
+      edges.push({ from: cls.uri, to: nodeFor(ref.uri, ref), kind: 'disjointWith', label: 'disjoint', inverse: false });
+    }
+  }
+
+  const isClass = (uri) => uri && !LITERAL_TYPES.has(uri) && !uri.startsWith(XSD) && !datatypes.has(uri);
+  const propertyEdges = new Map(); // property uri -> its edges
+  for (const prop of vocab.properties) {
+    const ends = (formatted = [], includes = []) => [
+      ...formatted.filter(r => !r.op && isClass(r.uri)),
+      ...includes.filter(isClass).map(uri => ({ uri })),
+    ];
+    const domains = ends(prop.domainFormatted, prop.domainIncludes);
+    const ranges = ends(prop.rangeFormattedNonLiteral || prop.rangeFormatted, prop.rangeIncludes);
+    const drawn = [];
+    for (const d of domains) {
+      for (const r of ranges) {
+        const edge = { from: nodeFor(d.uri, d.label ? d : undefined), to: nodeFor(r.uri, r.label ? r : undefined), kind: 'property', label: prop.localName, inverse: false, property: prop.uri };
+        drawn.push(edge);
+        edges.push(edge);
+      }
+    }
+    propertyEdges.set(prop.uri, drawn);
+  }
+
+  // owl:inverseOf pairs between the same classes share one edge; the other is dropped
+  const dropped = new Set();
+  for (const prop of vocab.properties) {
+    if (!prop.inverseOf || !propertyEdges.has(prop.inverseOf)) continue;
+    const inverseName = vocab.properties.find(p => p.uri === prop.inverseOf).localName;
+    for (const edge of propertyEdges.get(prop.uri)) {
+      if (dropped.has(edge) || edge.inverse) continue;
+      const twin = propertyEdges.get(prop.inverseOf).find(e => e.from === edge.to && e.to === edge.from && !dropped.has(e));
+      if (twin && twin !== edge) {
+        dropped.add(twin);
+        edge.label = `${edge.label} / ${inverseName}`;
+        edge.inverse = true;
+      } else if (!twin) {
+        edge.label = `${edge.label} (inverse of ${inverseName})`;
+      }
+    }
+  }
+
+  return {
+    nodes: [...nodes.values()],
+    edges: edges.filter(e => !dropped.has(e)).map(({ property, ...edge }) => edge),
+  };
+}
+
+/**
+ * Write a class diagram (see buildClassDiagram) as Graphviz DOT: superclasses above their
+ * subclasses, external classes dashed and grey, disjointness as red dashed lines.
+ * @param {object} diagram
+ * @param {object} [options]
+ * @param {string} [options.title] - Graph name (default: 'classes')
+ * @returns {string}
+ */
+export function diagramToDot(diagram, { title = 'classes' } = {}) {
+  const ids = new Map(diagram.nodes.map((n, i) => [n.id, `n${i}`]));
+  const lines = [
+    `digraph ${dotString(title)} {`,
+    '  rankdir=BT;',
+    '  node [shape=box, fontname="Helvetica", fontsize=11];',
+    '  edge [fontname="Helvetica", fontsize=9];',
+  ];
+  for (const node of diagram.nodes) {
+    const style = node.external ? ', style=dashed, color=gray50, fontcolor=gray40' : '';
+    lines.push(`  ${ids.get(node.id)} [label=${dotString(node.label)}, tooltip=${dotString(node.id)}${style}];`);
+  }
+  for (const edge of diagram.edges) {
+    const attrs = {
+      subClassOf: 'arrowhead=empty',
+      property: `label=${dotString(edge.label)}, arrowhead=vee${edge.inverse ? ', dir=both, arrowtail=vee' : ''}, constraint=false`,
+      disjointWith: `label=${dotString(edge.label)}, dir=none, style=dashed, color=red, fontcolor=red, constraint=false`,
+    }[edge.kind];
+    lines.push(`  ${ids.get(edge.from)} -> ${ids.get(edge.to)} [${attrs}];`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Draw a class diagram (see buildClassDiagram) as a self-contained SVG, laid out in layers
+ * (superclasses above subclasses) without Graphviz. Styles are scoped to the
+ * `specgen-diagram` class, so the SVG can be inlined into a spec.
+ * @param {object} diagram
+ * @returns {string} The SVG, or '' if the diagram has no nodes
+ */
+export function diagramToSvg(diagram) {
+  if (!diagram.nodes.length) return '';
+  const boxes = layout(diagram);
+  const width = Math.max(...[...boxes.values()].map(b => b.x + b.width)) + MARGIN;
+  const height = Math.max(...[...boxes.values()].map(b => b.y + b.height)) + MARGIN;
+
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" class="specgen-diagram" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Class diagram">`);
+  out.push('<style>');
+  out.push('.specgen-diagram text{font-family:Helvetica,Arial,sans-serif;font-size:12px}');
+  out.push('.specgen-diagram .node rect{fill:#f4f7fb;stroke:#35516e}');
+  out.push('.specgen-diagram .node.external rect{fill:#f2f2f2;stroke:#888;stroke-dasharray:4 2}');
+  out.push('.specgen-diagram .node.external text{fill:#555}');
+  out.push('.specgen-diagram .edge path{fill:none;stroke:#35516e}');
+  out.push('.specgen-diagram .edge.disjointWith path{stroke:#c0392b;stroke-dasharray:5 3}');
+  out.push('.specgen-diagram .edge text{font-size:10px;fill:#35516e;paint-order:stroke;stroke:#fff;stroke-width:3px}');
+  out.push('.specgen-diagram .edge.disjointWith text{fill:#c0392b}');
+  out.push('</style>');
+  out.push('<defs>');
+  out.push('<marker id="specgen-inherits" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="10" markerHeight="10" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="#fff" stroke="#35516e"/></marker>');
+  out.push('<marker id="specgen-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10" fill="none" stroke="#35516e"/></marker>');
+  out.push('</defs>');
+
+  // Edges between the same two nodes are bent apart
+  const pairs = new Map();
+  for (const edge of diagram.edges) {
+    const key = [edge.from, edge.to].sort().join(' ');
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push(edge);
+  }
+  for (const edge of diagram.edges) {
+    const siblings = pairs.get([edge.from, edge.to].sort().join(' '));
+    const { d, labelX, labelY } = edgePath(boxes.get(edge.from), boxes.get(edge.to), siblings.indexOf(edge), siblings.length, edge.from < edge.to);
+    const markers = {
+      subClassOf: ' marker-end="url(#specgen-inherits)"',
+      property: ` marker-end="url(#specgen-arrow)"${edge.inverse ? ' marker-start="url(#specgen-arrow)"' : ''}`,
+      disjointWith: '',
+    }[edge.kind];
+    out.push(`<g class="edge ${edge.kind}"><path d="${d}"${markers}/>${edge.label ? `<text x="${labelX}" y="${labelY}" text-anchor="middle">${escapeXml(edge.label)}</text>` : ''}</g>`);
+  }
+  for (const node of diagram.nodes) {
+    const box = boxes.get(node.id);
+    out.push(`<g class="node${node.external ? ' external' : ''}"><title>${escapeXml(node.id)}</title>`
+      + `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="3"/>`
+      + `<text x="${box.x + box.width / 2}" y="${box.y + box.height / 2 + FONT_SIZE / 3}" text-anchor="middle">${escapeXml(node.label)}</text></g>`);
+  }
+  out.push('</svg>');
+  return `${out.join('\n')}\n`;
+}
+
+// Helper: place nodes in layers by subclass depth, order each layer by the barycenter of
+// its neighbours to reduce crossings, and center the layers; returns id -> { x, y, width, height }
+function layout(diagram) {
+  const ids = diagram.nodes.map(n => n.id);
+  const parents = new Map(ids.map(id => [id, []]));
+  const children = new Map(ids.map(id => [id, []]));
+  for (const edge of diagram.edges) {
+    if (edge.kind !== 'subClassOf' || edge.from === edge.to) continue;
+    parents.get(edge.from).push(edge.to);
+    children.get(edge.to).push(edge.from);
+  }
+
+  // Longest path from the roots; classes in subclass cycles stay where their first
+  // resolved parent puts them
+  const rank = new Map();
+  const pending = new Map(ids.map(id => [id, parents.get(id).length]));
+  const queue = ids.filter(id => !pending.get(id));
+  for (const id of queue) rank.set(id, 0);
+  for (let i = 0; i < queue.length || rank.size < ids.length; i++) {
+    if (i >= queue.length) {
+      const stuck = ids.find(id => !rank.has(id));
+      rank.set(stuck, Math.max(0, ...parents.get(stuck).filter(p => rank.has(p)).map(p => rank.get(p) + 1)));
+      queue.push(stuck);
+    }
+    for (const child of children.get(queue[i])) {
+      if (rank.has(child)) continue;
+      pending.set(child, pending.get(child) - 1);
+      if (!pending.get(child)) {
+        rank.set(child, Math.max(...parents.get(child).map(p => rank.get(p) + 1)));
+        queue.push(child);
+      }
+    }
+  }
+
+  const layers = [];
+  for (const id of ids) (layers[rank.get(id)] ??= []).push(id);
+  const filled = layers.filter(Boolean);
+
+  const neighbours = new Map(ids.map(id => [id, []]));
+  for (const edge of diagram.edges) {
+    if (edge.from === edge.to) continue;
+    neighbours.get(edge.from).push(edge.to);
+    neighbours.get(edge.to).push(edge.from);
+  }
+  const position = new Map();
+  const index = () => filled.forEach(layer => layer.forEach((id, i) => position.set(id, i)));
+  index();
+  for (let sweep = 0; sweep < SWEEPS; sweep++) {
+    const order = sweep % 2 ? [...filled.keys()].reverse() : [...filled.keys()];
+    for (const l of order) {
+      const adjacent = new Set([...(filled[l - 1] || []), ...(filled[l + 1] || [])]);
+      const weight = new Map(filled[l].map(id => {
+        const around = neighbours.get(id).filter(n => adjacent.has(n)).map(n => position.get(n));
+        return [id, around.length ? around.reduce((a, b) => a + b, 0) / around.length : position.get(id)];
+      }));
+      filled[l].sort((a, b) => weight.get(a) - weight.get(b));
+      index();
+    }
+  }
+
+  const nodes = new Map(diagram.nodes.map(n => [n.id, n]));
+  const widthOf = (id) => Math.max(60, nodes.get(id).label.length * CHAR_WIDTH + 20);
+  const layerWidth = (layer) => layer.reduce((sum, id) => sum + widthOf(id), 0) + NODE_GAP * (layer.length - 1);
+  const widest = Math.max(...filled.map(layerWidth));
+  const boxes = new Map();
+  filled.forEach((layer, l) => {
+    let x = MARGIN + (widest - layerWidth(layer)) / 2;
+    for (const id of layer) {
+      boxes.set(id, { x: Math.round(x), y: MARGIN + l * (NODE_HEIGHT + LAYER_GAP), width: widthOf(id), height: NODE_HEIGHT });
+      x += widthOf(id) + NODE_GAP;
+    }
+  });
+  return boxes;
+}
+
+// Helper: a curve between two boxes, clipped to their borders and bent by `index` of
+// `count` parallel edges (and always for boxes side by side); loops for self edges
+function edgePath(from, to, index, count, forward) {
+  const round = (n) => Math.round(n * 10) / 10;
+  if (from === to) {
+    const x = from.x + from.width - 12;
+    const y = from.y;
+    const size = 18 + index * 10;
+    return { d: `M${x},${y} C${x},${y - size} ${x + size + 12},${y - size} ${x + 12},${y}`, labelX: round(x + 6), labelY: round(y - size - 2) };
+  }
+  const start = { x: from.x + from.width / 2, y: from.y + from.height / 2 };
+  const end = { x: to.x + to.width / 2, y: to.y + to.height / 2 };
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const length = Math.hypot(dx, dy) || 1;
+  // Parallel edges spread around the straight line, whichever way each one points; edges
+  // within a layer always bend, so they don't run along the layer
+  const sameLayer = from.y === to.y;
+  let bend = (index - (count - 1) / 2) * (sameLayer ? 60 : 36) * (forward ? 1 : -1);
+  if (sameLayer && count === 1) bend = 40;
+  const control = { x: (start.x + end.x) / 2 - (dy / length) * bend, y: (start.y + end.y) / 2 + (dx / length) * bend };
+  const a = clip(from, control, start);
+  const b = clip(to, control, end);
+  return {
+    d: `M${round(a.x)},${round(a.y)} Q${round(control.x)},${round(control.y)} ${round(b.x)},${round(b.y)}`,
+    labelX: round(0.25 * a.x + 0.5 * control.x + 0.25 * b.x),
+    labelY: round(0.25 * a.y + 0.5 * control.y + 0.25 * b.y - 3),
+  };
+}
+
+// Helper: where the line from a box's center toward `toward` leaves the box
+function clip(box, toward, center) {
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+  if (!dx && !dy) return center;
+  const scale = Math.min(
+    dx ? (box.width / 2) / Math.abs(dx) : Infinity,
+    dy ? (box.height / 2) / Math.abs(dy) : Infinity,
+  );
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+}
+
+// Helper: the local name of a URI (after the last / or #)
+function localNameOf(uri) {
+  return uri.slice(Math.max(uri.lastIndexOf('/'), uri.lastIndexOf('#')) + 1) || uri;
+}
+
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
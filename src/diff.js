@@ -0,0 +1,228 @@
+import { parseRdfSources, selectGraphs } from './rdf-parser.js';
+import { extractVocabulary, extractOntologyMetadata, detectNamespace, detectPrefix } from './spec-generator.js';
+import { loadLabelRegistry } from './label-registry.js';
+import { loadCatalog, resolveImports } from './catalog.js';
+
+// Compared fields; list fields are [field, the term's formatted references] and compare as sets
+const TEXT_FIELDS = ['label', 'comment', 'status'];
+const LIST_FIELDS = [
+  ['domain', 'domainFormatted'],
+  ['range', 'rangeFormatted'],
+  ['subClassOf', 'subClassOfFormatted'],
+];
+
+/**
+ * Compare two versions of a vocabulary (see extractVocabulary) term by term. Terms are
+ * matched by local name, so a namespace move doesn't show every term as replaced.
+ * A removed term and an added term of the same type with the same comment are reported as
+ * a rename. Removals and renames are breaking, as is a domain, range or subClassOf that
+ * loses a value; label, comment and status changes and added values are not.
+ * @param {object} oldVocab - extractVocabulary output of the previous version
+ * @param {object} newVocab - extractVocabulary output of the current version
+ * @param {object} [options]
+ * @param {string} [options.prefix] - Prefix to show the vocabulary's own terms with
+ * @returns {{added: Array, removed: Array, renamed: Array, changed: Array, breaking: boolean}}
+ *   added/removed: { term, termType, uri, breaking }; renamed: { from, to, termType, uri,
+ *   breaking }; changed: { term, termType, uri, changes: [{ field, old, new, breaking }], breaking }.
+ *   Terms are shown as prefix:localName, list values as sorted arrays of names.
+ */
+export function compareVocabularies(oldVocab, newVocab, { prefix = '' } = {}) {
+  const name = (localName) => prefix ? `${prefix}:${localName}` : localName;
+  const valueOf = (ref) => {
+    if (ref.op) return ref.label;
+    if (ref.isLocal) return name(ref.localName);
+    return ref.curie || ref.uri;
+  };
+  const termsOf = (vocab) => new Map(
+    [...vocab.classes, ...vocab.properties, ...(vocab.datatypes || []), ...(vocab.vocabularyEncodingSchemes || [])]
+      .map(t => [t.localName, t]),
+  );
+  const before = termsOf(oldVocab);
+  const after = termsOf(newVocab);
+  const byName = (a, b) => a.term.localeCompare(b.term);
+
+  const entry = (t, breaking) => ({ term: name(t.localName), termType: t.termType, uri: t.uri, breaking });
+  let added = [...after.values()].filter(t => !before.has(t.localName));
+  let removed = [...before.values()].filter(t => !after.has(t.localName));
+
+  const renamed = [];
+  for (const old of removed) {
+    const match = old.comment && added.find(t => t.termType === old.termType && t.comment === old.comment);
+    if (!match) continue;
+    renamed.push({ from: name(old.localName), to: name(match.localName), termType: old.termType, uri: match.uri, breaking: true });
+    added = added.filter(t => t !== match);
+    removed = removed.filter(t => t !== old);
+  }
+  added = added.map(t => entry(t, false));
+  removed = removed.map(t => entry(t, true));
+
+  const changed = [];
+  for (const [localName, current] of after) {
+    const previous = before.get(localName);
+    if (!previous) continue;
+    const changes = [];
+    for (const field of TEXT_FIELDS) {
+      const [was, now] = [previous[field] || '', current[field] || ''];
+      if (was !== now) changes.push({ field, old: was, new: now, breaking: false });
+    }
+    for (const [field, key] of LIST_FIELDS) {
+      const was = [...new Set((previous[key] || []).map(valueOf))].sort();
+      const now = [...new Set((current[key] || []).map(valueOf))].sort();
+      if (was.join('\n') === now.join('\n')) continue;
+      changes.push({ field, old: was, new: now, breaking: was.some(v => !now.includes(v)) });
+    }
+    if (changes.length) {
+      changed.push({ term: name(localName), termType: current.termType, uri: current.uri, changes, breaking: changes.some(c => c.breaking) });
+    }
+  }
+
+  added.sort(byName);
+  removed.sort(byName);
+  renamed.sort((a, b) => a.from.localeCompare(b.from));
+  changed.sort(byName);
+  return {
+    added, removed, renamed, changed,
+    breaking: removed.length > 0 || renamed.length > 0 || changed.some(c => c.breaking),
+  };
+}
+
+/**
+ * Compare two versions of a vocabulary read from RDF files (see compareVocabularies).
+ * Both are read as generateSpec reads a vocabulary, with the same options; each version's
+ * namespace is detected separately unless `namespace` is given, and terms are shown with
+ * the new version's prefix.
+ * @param {object} opts
+ * @param {string|string[]} opts.oldRdfPath - File(s) or glob(s) of the previous version
+ * @param {string|string[]} opts.newRdfPath - File(s) or glob(s) of the current version
+ * @param {string} [opts.namespace] - Vocabulary namespace of both versions (default: detect)
+ * @param {string} [opts.prefix] - Prefix to show terms with (default: detect)
+ * @param {string} [opts.inputFormat] - See parseRdf
+ * @param {string[]} [opts.graphs] - Named graphs to read from both versions, as for generateSpec
+ * @param {boolean} [opts.lenient] - See parseRdf
+ * @param {Object<string, string|object>} [opts.jsonldContexts] - See parseRdf
+ * @param {string} [opts.catalog] - Catalog file for owl:imports, as for generateSpec
+ * @param {string[]} [opts.labelFiles] - Label registry files, as for generateSpec
+ * @param {object} [opts.fields] - Field mapping, see extractVocabulary
+ * @param {string[]} [opts.languages] - Language fallback chain, see extractVocabulary
+ * @param {function(Error)} [opts.onWarning]
+ * @returns {Promise<object>} compareVocabularies' result, plus `oldVersion` and `newVersion`
+ *   (owl:versionInfo, or '')
+ * @throws {SpecgenParseError} If an input file is not valid RDF
+ */
+export async function diffVocabularies(opts) {
+  const {
+    oldRdfPath, newRdfPath, namespace: namespaceOverride, prefix: prefixOverride, inputFormat, graphs = [], lenient = false,
+    jsonldContexts = {}, catalog: catalogPath, labelFiles = [], fields, languages = null, onWarning,
+  } = opts;
+  const parseOptions = { jsonldContexts, lenient, onWarning };
+  const registry = await loadLabelRegistry(labelFiles, parseOptions);
+  const catalog = catalogPath ? await loadCatalog(catalogPath) : null;
+  const load = async (rdfPath) => {
+    const { quads: allQuads, files } = await parseRdfSources(rdfPath, inputFormat, parseOptions);
+    const { quads } = selectGraphs(allQuads, graphs);
+    const namespace = namespaceOverride || detectNamespace(quads, onWarning);
+    const meta = extractOntologyMetadata(quads, { namespace, languages });
+    const prefix = prefixOverride || meta.prefix || detectPrefix(namespace, files.map(f => f.content), onWarning);
+    let importedQuads = [];
+    if (catalog) {
+      const resolved = await resolveImports(quads, catalog, parseOptions);
+      for (const iri of resolved.missing) {
+        onWarning?.(new Error(`owl:imports <${iri}> has no entry in the catalog; skipping it`));
+      }
+      importedQuads = resolved.quads;
+    }
+    const vocab = extractVocabulary(quads, {
+      namespace, importedQuads, languages, fields, labelQuads: registry.quads, prefixes: registry.prefixes,
+    });
+    return { vocab, prefix, version: meta.versionInfo || '' };
+  };
+  const previous = await load(oldRdfPath);
+  const current = await load(newRdfPath);
+  return {
+    oldVersion: previous.version,
+    newVersion: current.version,
+    ...compareVocabularies(previous.vocab, current.vocab, { prefix: current.prefix }),
+  };
+}
+
+// Helper: a changed field's values for display
+function showValue(value) {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+  return value ? JSON.stringify(value) : '(none)';
+}
+
+/**
+ * Format a vocabulary diff for the terminal: a section each for added, removed, renamed
+ * and changed terms, breaking changes marked, and a summary line.
+ */
+export function formatDiffText(diff) {
+  const lines = [];
+  const flag = (entry) => entry.breaking ? ' [breaking]' : '';
+  if (diff.added.length) lines.push(`Added (${diff.added.length}):`, ...diff.added.map(a => `  + ${a.termType} ${a.term}`));
+  if (diff.removed.length) lines.push(`Removed (${diff.removed.length}):`, ...diff.removed.map(r => `  - ${r.termType} ${r.term}${flag(r)}`));
+  if (diff.renamed.length) lines.push(`Renamed (${diff.renamed.length}):`, ...diff.renamed.map(r => `  ~ ${r.termType} ${r.from} -> ${r.to}${flag(r)}`));
+  if (diff.changed.length) {
+    lines.push(`Changed (${diff.changed.length}):`);
+    for (const entry of diff.changed) {
+      lines.push(`  * ${entry.termType} ${entry.term}`);
+      for (const c of entry.changes) lines.push(`      ${c.field}: ${showValue(c.old)} -> ${showValue(c.new)}${flag(c)}`);
+    }
+  }
+  const breaking = countBreaking(diff);
+  lines.push(lines.length ? `${breaking} breaking change(s)` : 'No changes');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format a vocabulary diff as an HTML fragment for a spec's "Changes since previous
+ * version" section: <section id="changes"> with a list per kind of change.
+ */
+export function formatDiffHtml(diff) {
+  const esc = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const flag = (entry) => entry.breaking ? ' <strong class="breaking">(breaking)</strong>' : '';
+  const term = (name, uri) => `<a href="${esc(uri)}"><code>${esc(name)}</code></a>`;
+  const out = ['<section id="changes">', `<h2>${esc(headingOf(diff))}</h2>`];
+  const list = (heading, items) => {
+    if (!items.length) return;
+    out.push(`<h3>${heading}</h3>`, '<ul>', ...items.map(i => `  <li>${i}</li>`), '</ul>');
+  };
+  list('Added terms', diff.added.map(a => `${a.termType} ${term(a.term, a.uri)}`));
+  list('Removed terms', diff.removed.map(r => `${r.termType} <code>${esc(r.term)}</code>${flag(r)}`));
+  list('Renamed terms', diff.renamed.map(r => `${r.termType} <code>${esc(r.from)}</code> is now ${term(r.to, r.uri)}${flag(r)}`));
+  list('Changed terms', diff.changed.map(entry => `${entry.termType} ${term(entry.term, entry.uri)}: ${entry.changes
+    .map(c => `${c.field} changed from ${esc(showValue(c.old))} to ${esc(showValue(c.new))}${flag(c)}`).join('; ')}`));
+  if (out.length === 2) out.push('<p>No changes.</p>');
+  out.push('</section>');
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * Format a vocabulary diff as a Markdown fragment for a spec's "Changes since previous
+ * version" section.
+ */
+export function formatDiffMarkdown(diff) {
+  const code = (text) => `\`${text}\``;
+  const flag = (entry) => entry.breaking ? ' **(breaking)**' : '';
+  const out = [`## ${headingOf(diff)}`, ''];
+  const list = (heading, items) => {
+    if (items.length) out.push(`### ${heading}`, '', ...items.map(i => `- ${i}`), '');
+  };
+  list('Added terms', diff.added.map(a => `${a.termType} [${code(a.term)}](${a.uri})`));
+  list('Removed terms', diff.removed.map(r => `${r.termType} ${code(r.term)}${flag(r)}`));
+  list('Renamed terms', diff.renamed.map(r => `${r.termType} ${code(r.from)} is now [${code(r.to)}](${r.uri})${flag(r)}`));
+  list('Changed terms', diff.changed.map(entry => `${entry.termType} [${code(entry.term)}](${entry.uri}): ${entry.changes
+    .map(c => `${c.field} changed from ${code(showValue(c.old))} to ${code(showValue(c.new))}${flag(c)}`).join('; ')}`));
+  if (out.length === 2) out.push('No changes.', '');
+  return `${out.join('\n').trim()}\n`;
+}
+
+// Helper: "Changes since version 1.0", or since the previous version when it has no owl:versionInfo
+function headingOf(diff) {
+  return `Changes since ${diff.oldVersion ? `version ${diff.oldVersion}` : 'previous version'}`;
+}
+
+// Helper: the number of breaking removals, renames and field changes
+function countBreaking(diff) {
+  return diff.removed.length + diff.renamed.length
+    + diff.changed.reduce((n, entry) => n + entry.changes.filter(c => c.breaking).length, 0);
+}
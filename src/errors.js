@@ -0,0 +1,58 @@
+/**
+ * An RDF syntax error, located in its source file.
+ * Carries enough context (file, format, line, column, surrounding lines) for the CLI
+ * to print a compiler-style diagnostic.
+ */
+export class SpecgenParseError extends Error {
+  /**
+   * @param {string} message - What went wrong, without location
+   * @param {object} details
+   * @param {string} details.filePath - File that failed to parse ('<stdin>' for stdin)
+   * @param {string} details.format - RDF format the file was parsed as
+   * @param {number} [details.line] - 1-based line of the fault, if known
+   * @param {number} [details.column] - 1-based column of the fault, if known
+   * @param {string} [details.source] - Full source text, used to build the excerpt
+   * @param {Error} [details.cause] - The underlying parser error
+   */
+  constructor(message, { filePath, format, line, column, source, cause }) {
+    super(message, { cause });
+    this.name = 'SpecgenParseError';
+    this.filePath = filePath;
+    this.format = format;
+    this.line = line;
+    this.column = column;
+    this.excerpt = line && source ? sourceExcerpt(source, line) : [];
+  }
+
+  /**
+   * Render as a compiler-style diagnostic:
+   *
+   *   vocab.ttl:3:16: error: Expected punctuation to follow "http://e/c" (turtle)
+   *      2 | ex:a ex:b ex:c .
+   *   >  3 | ex:a ex:b ex:c ex:d .
+   *        |                ^
+   */
+  toDiagnostic(severity = 'error') {
+    const location = [this.filePath, this.line, this.column].filter(Boolean).join(':');
+    const out = [`${location}: ${severity}: ${this.message} (${this.format})`];
+    const width = String(this.excerpt.length ? this.excerpt[this.excerpt.length - 1].number : 0).length;
+    for (const { number, text } of this.excerpt) {
+      const marker = number === this.line ? '>' : ' ';
+      out.push(`${marker} ${String(number).padStart(width)} | ${text}`);
+      if (number === this.line && this.column) {
+        out.push(`  ${' '.repeat(width)} | ${' '.repeat(this.column - 1)}^`);
+      }
+    }
+    return out.join('\n');
+  }
+}
+
+// Lines around the fault, two either side
+function sourceExcerpt(source, line, context = 2) {
+  const lines = source.replace(/\r?\n$/, '').split(/\r?\n/);
+  const first = Math.max(1, line - context);
+  const last = Math.min(lines.length, line + context);
+  const excerpt = [];
+  for (let n = first; n <= last; n++) excerpt.push({ number: n, text: lines[n - 1] });
+  return excerpt;
+}
@@ -1,2 +1,10 @@
-export { parseRdf } from './rdf-parser.js';
-export { generateSpec } from './spec-generator.js';
+export { parseRdf, parseRdfSources } from './rdf-parser.js';
+export { generateSpec, exportSpecModel, MODEL_SCHEMA_VERSION } from './spec-generator.js';
+export { SpecgenParseError } from './errors.js';
+export { loadCatalog, resolveImports } from './catalog.js';
+export { loadLabelRegistry } from './label-registry.js';
+export { checkLinks } from './link-checker.js';
+export { generateMarkdown, renderMarkdown, htmlToMarkdown } from './markdown.js';
+export { renderSite, generateSite } from './site.js';
+export { buildClassDiagram, diagramToDot, diagramToSvg } from './diagram.js';
+export { compareVocabularies, diffVocabularies, formatDiffText, formatDiffHtml, formatDiffMarkdown } from './diff.js';
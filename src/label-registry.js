@@ -0,0 +1,72 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataFactory } from 'n3';
+import { parseRdf } from './rdf-parser.js';
+
+const VANN = 'http://purl.org/vocab/vann/';
+
+// Labels and comments for RDF, RDFS, OWL, XSD, SKOS, DC, schema.org, GeoSPARQL and WGS84
+const BUNDLED_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../vocabularies');
+
+// Namespaces published under a second IRI; registry terms are looked up from either
+const NAMESPACE_ALIASES = {
+  'http://schema.org/': 'https://schema.org/',
+};
+
+let bundled = null;
+
+/**
+ * Load the offline label registry: labels and comments for terms of well-known vocabularies,
+ * used for external references the vocabulary (and its imports) leave undescribed.
+ * User-supplied RDF files take precedence over the bundled vocabularies. Each registry file
+ * may name its namespace and prefix with vann:preferredNamespaceUri/vann:preferredNamespacePrefix,
+ * which is where CURIEs such as owl:Thing come from.
+ * @param {string[]} [files] - Additional RDF files of labels and comments
+ * @param {object} [parseOptions] - Passed through to parseRdf
+ * @returns {Promise<{quads: Array, prefixes: Object<string, string>}>} prefixes maps namespace -> prefix
+ */
+export async function loadLabelRegistry(files = [], parseOptions = {}) {
+  bundled ??= loadBundled();
+  const user = [];
+  for (const file of files) user.push(...await parseRdf(file, undefined, parseOptions));
+  const base = await bundled;
+  return {
+    quads: [...user, ...base.quads],
+    prefixes: { ...base.prefixes, ...prefixesOf(user) },
+  };
+}
+
+// Helper: parse the bundled vocabularies once per process
+async function loadBundled() {
+  const files = (await readdir(BUNDLED_DIR)).filter(f => f.endsWith('.ttl')).sort();
+  const quads = [];
+  for (const file of files) quads.push(...await parseRdf(path.join(BUNDLED_DIR, file)));
+  for (const [ns, alias] of Object.entries(NAMESPACE_ALIASES)) {
+    for (const q of quads.filter(q => q.subject.value.startsWith(ns))) {
+      const subject = DataFactory.namedNode(alias + q.subject.value.slice(ns.length));
+      quads.push(DataFactory.quad(subject, q.predicate, q.object));
+    }
+  }
+  return { quads, prefixes: prefixesOf(quads) };
+}
+
+// Helper: namespace -> prefix pairs declared with vann
+function prefixesOf(quads) {
+  const key = (term) => `${term.termType}:${term.value}`;
+  const namespaces = new Map(); // subject -> its first vann:preferredNamespaceUri
+  for (const q of quads) {
+    if (q.predicate.value === `${VANN}preferredNamespaceUri` && !namespaces.has(key(q.subject))) {
+      namespaces.set(key(q.subject), q.object.value);
+    }
+  }
+  const prefixes = {};
+  for (const q of quads) {
+    if (q.predicate.value !== `${VANN}preferredNamespacePrefix`) continue;
+    const ns = namespaces.get(key(q.subject));
+    if (!ns) continue;
+    prefixes[ns] = q.object.value;
+    if (NAMESPACE_ALIASES[ns]) prefixes[NAMESPACE_ALIASES[ns]] = q.object.value;
+  }
+  return prefixes;
+}
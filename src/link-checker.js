@@ -0,0 +1,92 @@
+/**
+ * Check the internal cross-references of a generated spec: every href="#..." must resolve
+ * to an id (or an <a name>), ids must be unique, and every term must have an anchor.
+ * A term's anchor is an id or name that is its local name or, with `termAnchor`, that pattern
+ * filled in with it. Without one, a one-word prefix ending in '_' or '-' is allowed (e.g.
+ * FOAF's term_Person, but not term_foo_Person), unless the id is itself a term's name.
+ * @param {string} html - The rendered spec
+ * @param {object} [options]
+ * @param {Array<{localName: string}>} [options.terms] - Terms that must have an anchor (e.g. allTerms)
+ * @param {string} [options.termAnchor] - The template's term anchors, '{name}' standing for the term (e.g. 'term_{name}')
+ * @returns {Array<{kind: string, message: string, line: number, context: string}>}
+ *   kind is 'broken-anchor', 'duplicate-id' or 'missing-term-anchor'; line is 1-based
+ *   (0 for missing anchors) and context the markup around the offending tag.
+ */
+export function checkLinks(html, { terms = [], termAnchor } = {}) {
+  // Comments are blanked rather than removed, so offsets still map to lines
+  const source = html.replace(/<!--[\s\S]*?-->/g, (comment) => comment.replace(/[^\n]/g, ' '));
+  const lineStarts = [0];
+  for (const newline of source.matchAll(/\n/g)) lineStarts.push(newline.index + 1);
+  const lineAt = (offset) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+  // Helper: the source around an offset, trimmed to a window on long lines
+  const contextAt = (offset) => {
+    const start = lineStarts[lineAt(offset) - 1];
+    const end = source.indexOf('\n', offset);
+    const from = Math.max(start, offset - 60);
+    const to = Math.min(end === -1 ? source.length : end, offset + 100);
+    return `${from > start ? '...' : ''}${source.slice(from, to).trim()}${to < end ? '...' : ''}`;
+  };
+
+  const ids = new Map(); // id -> offset of its first use
+  const names = new Set();
+  const hrefs = []; // [fragment, offset]
+  const problems = [];
+  const report = (kind, message, offset = -1) => problems.push({
+    kind, message, line: offset < 0 ? 0 : lineAt(offset), context: offset < 0 ? '' : contextAt(offset),
+  });
+
+  for (const tag of source.matchAll(/<([a-zA-Z][\w-]*)\b([^>]*)>/g)) {
+    for (const [, attr, dq, sq] of tag[2].matchAll(/\s(id|name|href)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)) {
+      const value = dq ?? sq;
+      switch (attr.toLowerCase()) {
+        case 'id':
+          if (ids.has(value)) report('duplicate-id', `Duplicate id "${value}" (first on line ${lineAt(ids.get(value))})`, tag.index);
+          else ids.set(value, tag.index);
+          break;
+        case 'name':
+          if (tag[1].toLowerCase() === 'a') names.add(value);
+          break;
+        case 'href':
+          if (value.startsWith('#') && value.length > 1) hrefs.push([value.slice(1), tag.index]);
+          break;
+      }
+    }
+  }
+
+  const anchors = new Set([...ids.keys(), ...names]);
+  for (const [fragment, offset] of hrefs) {
+    let target = fragment;
+    try { target = decodeURIComponent(fragment); } catch { /* keep it as written */ }
+    if (!anchors.has(fragment) && !anchors.has(target)) report('broken-anchor', `Link to #${fragment} has no matching id`, offset);
+  }
+
+  // Local names with an anchor: each anchor itself, and the name in the term anchor pattern
+  // or, without one, what follows a one-word prefix of an id that is no term's own name
+  const termNames = new Set(terms.map(term => term.localName));
+  const [before, after] = termAnchor?.includes('{name}') ? termAnchor.split('{name}', 2) : [];
+  const anchoredNames = new Set(anchors);
+  for (const anchor of anchors) {
+    if (before !== undefined) {
+      if (anchor.length > before.length + after.length && anchor.startsWith(before) && anchor.endsWith(after)) {
+        anchoredNames.add(anchor.slice(before.length, anchor.length - after.length));
+      }
+      continue;
+    }
+    const prefixed = !termNames.has(anchor) && anchor.match(/^[^_-]+[_-](.+)$/);
+    if (prefixed) anchoredNames.add(prefixed[1]);
+  }
+  for (const { localName } of terms) {
+    if (!anchoredNames.has(localName)) report('missing-term-anchor', `Term ${localName} has no anchor`);
+  }
+
+  return problems;
+}
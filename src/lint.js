@@ -0,0 +1,133 @@
+import path from 'path';
+import { parseRdfSources, selectGraphs } from './rdf-parser.js';
+import { loadCatalog, resolveImports } from './catalog.js';
+import { extractVocabulary, loadDocFragmentVariants, detectNamespace, detectPrefix } from './spec-generator.js';
+
+const RDFS_IS_DEFINED_BY = 'http://www.w3.org/2000/01/rdf-schema#isDefinedBy';
+
+export const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+// Lint rules and their default severities
+export const LINT_RULES = {
+  'missing-label': 'warning',
+  'missing-comment': 'warning',
+  'missing-status': 'warning',
+  'invalid-status': 'error',
+  'undeclared-term': 'error',
+  'missing-is-defined-by': 'warning',
+  'orphan-doc-fragment': 'warning',
+  'unknown-term-reference': 'error',
+};
+
+const STATUSES = new Set(['stable', 'testing', 'unstable', 'archaic']);
+
+/**
+ * Check a vocabulary for quality problems: terms without a label, comment or vs:term_status,
+ * unknown status values, references to undeclared terms in the namespace, terms without
+ * rdfs:isDefinedBy, and, with a `docDir`, doc fragments without a term and
+ * <code>prefix:Term</code> references to terms that don't exist.
+ * @param {object} opts
+ * @param {string|string[]} opts.rdfPath - File(s) or glob(s), merged as for generateSpec
+ * @param {string} [opts.docDir] - Directory of <term>.<lang> doc fragments
+ * @param {string} [opts.namespace] - Vocabulary namespace (default: detect)
+ * @param {string} [opts.prefix] - Prefix used in doc fragments (default: detect)
+ * @param {object} [opts.severities] - { rule: 'error'|'warning'|'info'|'off' } overriding LINT_RULES
+ * @param {string} [opts.inputFormat] - See parseRdf
+ * @param {boolean} [opts.lenient] - See parseRdf
+ * @param {Object<string, string|object>} [opts.jsonldContexts] - See parseRdf
+ * @param {string[]} [opts.graphs] - Named graphs to read, as for generateSpec
+ * @param {string} [opts.catalog] - Catalog file for owl:imports, as for generateSpec
+ * @param {object} [opts.fields] - Field mapping, see extractVocabulary
+ * @param {string[]} [opts.languages] - Language fallback chain, see extractVocabulary
+ * @param {function(Error)} [opts.onWarning]
+ * @returns {Promise<Array<{rule: string, severity: string, message: string, term: string, file: string}>>}
+ *   Issues in input order; rules set to 'off' are left out.
+ * @throws {SpecgenParseError} If an input file is not valid RDF
+ */
+export async function lintVocabulary(opts) {
+  const { rdfPath, docDir, namespace: namespaceOverride, prefix: prefixOverride, severities = {}, inputFormat, lenient = false, jsonldContexts = {}, graphs = [], catalog: catalogPath, fields, languages = null, onWarning } = opts;
+  for (const [rule, severity] of Object.entries(severities)) {
+    if (!(rule in LINT_RULES)) throw new Error(`Unknown lint rule: ${rule}`);
+    if (!SEVERITIES.includes(severity)) throw new Error(`Severity of ${rule} must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  const parseOptions = { jsonldContexts, lenient, onWarning };
+  const { quads: allQuads, files, subjectSources } = await parseRdfSources(rdfPath, inputFormat, parseOptions);
+  const { quads } = selectGraphs(allQuads, graphs);
+  const namespace = namespaceOverride || detectNamespace(quads, onWarning);
+  const prefix = prefixOverride || detectPrefix(namespace, files.map(f => f.content), onWarning);
+  let importedQuads = [];
+  if (catalogPath) {
+    const resolved = await resolveImports(quads, await loadCatalog(catalogPath), parseOptions);
+    for (const iri of resolved.missing) {
+      onWarning?.(new Error(`owl:imports <${iri}> has no entry in the catalog; skipping it`));
+    }
+    importedQuads = resolved.quads;
+  }
+  const vocab = extractVocabulary(quads, { namespace, importedQuads, fields, languages });
+
+  const issues = [];
+  const report = (rule, message, term = '', file = subjectSources.get(term) || '') => {
+    const severity = severities[rule] || LINT_RULES[rule];
+    if (severity !== 'off') issues.push({ rule, severity, message, term, file });
+  };
+
+  const terms = [...vocab.classes, ...vocab.properties, ...vocab.datatypes, ...vocab.vocabularyEncodingSchemes];
+  const declared = new Set([...terms, ...vocab.concepts].map(t => t.uri));
+  const definedBy = new Set(quads.filter(q => q.predicate.value === RDFS_IS_DEFINED_BY).map(q => q.subject.value));
+
+  for (const term of terms) {
+    const name = `${term.termType} ${term.localName}`;
+    if (!Object.keys(term.variants.label).length) report('missing-label', `${name} has no rdfs:label`, term.uri);
+    if (!term.comment) report('missing-comment', `${name} has no rdfs:comment`, term.uri);
+    if (!term.status) {
+      report('missing-status', `${name} has no vs:term_status`, term.uri);
+    } else if (!STATUSES.has(term.status)) {
+      report('invalid-status', `${name} has status "${term.status}", expected one of ${[...STATUSES].join(', ')}`, term.uri);
+    }
+    if (!definedBy.has(term.uri)) report('missing-is-defined-by', `${name} has no rdfs:isDefinedBy`, term.uri);
+
+    const references = [
+      ['domain', term.domain], ['range', term.range],
+      ['domainIncludes', term.domainIncludes], ['rangeIncludes', term.rangeIncludes],
+      ['subClassOf', term.subClassOf], ['subPropertyOf', term.subPropertyOf],
+    ];
+    for (const [relation, uris = []] of references) {
+      for (const uri of new Set(uris)) {
+        if (namespace && uri.startsWith(namespace) && !declared.has(uri)) {
+          report('undeclared-term', `${name} has ${relation} ${uri.slice(namespace.length)}, which the vocabulary doesn't declare`, term.uri);
+        }
+      }
+    }
+  }
+
+  if (docDir) {
+    const localNames = new Set(terms.map(t => t.localName));
+    const lowerNames = new Set(terms.map(t => t.localName.toLowerCase()));
+    const reference = prefix && new RegExp(`<code>${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:(\\w+)</code>`, 'g');
+    for (const [termName, byLang] of await loadDocFragmentVariants(docDir, languages)) {
+      for (const [lang, html] of Object.entries(byLang)) {
+        const file = path.join(docDir, `${termName}.${lang}`);
+        if (!lowerNames.has(termName.toLowerCase())) {
+          report('orphan-doc-fragment', `Doc fragment ${termName}.${lang} matches no term`, '', file);
+        }
+        for (const [, name] of reference ? html.matchAll(reference) : []) {
+          if (!localNames.has(name)) report('unknown-term-reference', `<code>${prefix}:${name}</code> refers to an unknown term`, '', file);
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Format lint issues for the terminal, one per line ("file: severity: message [rule]"),
+ * followed by a summary line.
+ */
+export function formatLintReport(issues) {
+  const lines = issues.map(i => `${i.file || '<vocabulary>'}: ${i.severity}: ${i.message} [${i.rule}]`);
+  const count = (severity) => issues.filter(i => i.severity === severity).length;
+  lines.push(`${count('error')} error(s), ${count('warning')} warning(s), ${count('info')} info`);
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,278 @@
+import { exportSpecModel } from './spec-generator.js';
+import { formatDiffMarkdown } from './diff.js';
+
+// Elements without content or end tag
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'wbr', 'col', 'area', 'source']);
+
+// Elements that end an open <p> (HTML's implied </p>)
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'ul', 'ol', 'pre', 'blockquote', 'table', 'dl', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…' };
+
+// Term kinds in the order they're listed, as [heading, termType, model key]
+const SECTIONS = [
+  ['Classes', 'Class', 'alphaClasses'],
+  ['Properties', 'Property', 'alphaProperties'],
+  ['Datatypes', 'Datatype', 'alphaDatatypes'],
+  ['Vocabulary Encoding Schemes', 'Vocabulary Encoding Scheme', 'alphaVes'],
+];
+
+/**
+ * Generate a Markdown specification: the vocabulary header, a term index and a section per
+ * class, property, datatype and vocabulary encoding scheme with its URI, label, definition,
+ * status, domain and range, super- and subclasses and doc fragment (converted from HTML),
+ * and with `previousRdfPath`, the changes since the previous version.
+ * Takes generateSpec's options, minus `templatePath`, `onLinkProblem` and `termAnchor`.
+ * @throws {SpecgenParseError} If an input file is not valid RDF
+ */
+export async function generateMarkdown(opts) {
+  // Doc fragment links to #term_<Term> are rewritten to the Markdown headings
+  return renderMarkdown(await exportSpecModel({ ...opts, termAnchor: 'term_{name}' }));
+}
+
+/**
+ * Render a spec model (see exportSpecModel) as Markdown. Term sections are headings, so
+ * links between terms use the heading anchors Markdown renderers derive (GitHub style:
+ * "### Class: ex:Person" is #class-experson).
+ */
+export function renderMarkdown(model) {
+  const usedSlugs = new Map();
+  const slug = (heading) => {
+    const base = slugify(heading);
+    const count = usedSlugs.get(base) || 0;
+    usedSlugs.set(base, count + 1);
+    return count ? `${base}-${count}` : base;
+  };
+  const nameOf = (localName) => model.prefix ? `${model.prefix}:${localName}` : localName;
+
+  const lines = [];
+  lines.push(`# ${escapeMarkdown(model.title)}`, '');
+  slug(model.title);
+  if (model.description) lines.push(escapeMarkdown(model.description), '');
+  const header = [
+    ['Namespace', model.namespace && `<${model.namespace}>`],
+    ['Version', model.versionInfo && escapeMarkdown(model.versionInfo)],
+    ['Modified', model.modified && escapeMarkdown(model.modified)],
+    ['Creators', model.creators.map(a => formatAgent(a)).join(', ')],
+    ['Contributors', model.contributors.map(a => formatAgent(a)).join(', ')],
+    ['License', model.license && `<${model.license}>`],
+  ].filter(([, value]) => value);
+  if (header.length) lines.push(...header.map(([name, value]) => `- **${name}:** ${value}`), '');
+
+  // Anchors are assigned up front so doc fragments can link to terms listed after them
+  const sections = SECTIONS
+    .map(([heading, termType, key]) => ({ heading, termType, terms: model[key] || [] }))
+    .filter(s => s.terms.length);
+  slug('Index');
+  for (const section of sections) {
+    section.anchor = slug(section.heading);
+    section.anchors = section.terms.map(term => slug(`${section.termType}: ${nameOf(term.localName)}`));
+  }
+  const anchors = {};
+  for (const section of sections) {
+    section.terms.forEach((term, i) => {
+      for (const key of [term.uri, term.localName, `term_${term.localName}`]) anchors[key] ??= section.anchors[i];
+    });
+  }
+  const link = (ref) => {
+    const text = escapeMarkdown(ref.curie && !ref.curie.includes('://') ? ref.curie : ref.label || ref.localName);
+    if (ref.uri && anchors[ref.uri]) return `[${text}](#${anchors[ref.uri]})`;
+    if (ref.uri) return `[${text}](${ref.uri})`;
+    return text;
+  };
+  const uriLink = (uri) => {
+    const local = model.namespace && uri.startsWith(model.namespace) && anchors[uri];
+    return local ? `[${escapeMarkdown(nameOf(uri.slice(model.namespace.length)))}](#${local})` : `<${uri}>`;
+  };
+  const localLink = (localName) => anchors[localName] ? `[${escapeMarkdown(nameOf(localName))}](#${anchors[localName]})` : escapeMarkdown(nameOf(localName));
+
+  if (sections.length) {
+    lines.push('## Index', '');
+    for (const section of sections) {
+      const links = section.terms.map((term, i) => `[${escapeMarkdown(nameOf(term.localName))}](#${section.anchors[i]})`);
+      lines.push(`- **[${section.heading}](#${section.anchor}):** ${links.join(', ')}`);
+    }
+    lines.push('');
+  }
+
+  for (const section of sections) {
+    lines.push(`## ${section.heading}`, '');
+    section.terms.forEach((term, i) => {
+      lines.push(`### ${section.termType}: ${escapeMarkdown(nameOf(term.localName))}`, '');
+      const facts = [
+        ['URI', `<${term.uri}>`],
+        ['Label', term.label && escapeMarkdown(term.label)],
+        ['Definition', term.comment && escapeMarkdown(term.comment)],
+        ['Status', term.status && escapeMarkdown(term.status)],
+        ['Deprecated', term.deprecated && (term.replacedBy?.length ? `replaced by ${term.replacedBy.map(link).join(', ')}` : 'yes')],
+        ['Domain', (term.domainFormatted || []).map(link).join(', ')],
+        ['Domain includes', (term.domainIncludes || []).map(uriLink).join(', ')],
+        ['Range', (term.rangeFormatted || []).map(link).join(', ')],
+        ['Range includes', (term.rangeIncludes || []).map(uriLink).join(', ')],
+        ['Subclass of', (term.subClassOfFormatted || []).map(link).join(', ')],
+        ['Superclass of', (term.hasSubClass || []).map(c => localLink(c.localName)).join(', ')],
+        ['Subproperty of', (term.subPropertyOf || []).map(uriLink).join(', ')],
+        ['Superproperty of', (term.hasSubProperty || []).map(p => localLink(p.localName)).join(', ')],
+      ].filter(([, value]) => value);
+      lines.push(...facts.map(([name, value]) => `- **${name}:** ${value}`), '');
+      if (term.description) lines.push(escapeMarkdown(term.description), '');
+      const doc = term.docFragment ? htmlToMarkdown(term.docFragment, { anchors, headingLevel: 4 }) : '';
+      if (doc) lines.push(doc, '');
+    });
+  }
+
+  if (model.changes) lines.push(formatDiffMarkdown(model.changes));
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+// Helper: a dcterms:creator or contributor, linked to its URI when it has one
+function formatAgent({ name, uri }) {
+  if (name && uri) return `[${escapeMarkdown(name)}](${uri})`;
+  return name ? escapeMarkdown(name) : `<${uri}>`;
+}
+
+// Helper: the anchor GitHub-style Markdown renderers give a heading
+function slugify(heading) {
+  return heading.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+}
+
+// Helper: escape text so Markdown shows it as written
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/[\\`*[\]<]/g, '\\$&')
+    .replace(/(^|\W)_|_(?=\W|$)/g, (m) => m.replace('_', '\\_'))
+    .replace(/^(\s*)([#+>-])(?=\s)/gm, '$1\\$2')
+    .replace(/^(\s*\d+)\.(?=\s)/gm, '$1\\.');
+}
+
+// Helper: decode HTML character references
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ref) => {
+    if (ref[0] !== '#') return ENTITIES[ref.toLowerCase()] ?? m;
+    const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    // Out-of-range and surrogate code points are left as written
+    if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return m;
+    return String.fromCodePoint(code);
+  });
+}
+
+// Helper: parse an HTML fragment into { tag, attrs, children } nodes and text strings,
+// closing elements the way browsers do for the loose markup of hand-written doc fragments
+function parseHtml(html) {
+  const root = { tag: '', attrs: {}, children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  for (const [token, close, tag, rest] of html.matchAll(/<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)\b([^>]*)>|[^<]+|</g)) {
+    if (token.startsWith('<!--')) continue;
+    if (!tag) {
+      top().children.push(decodeEntities(token));
+      continue;
+    }
+    const name = tag.toLowerCase();
+    if (close) {
+      const open = stack.findLastIndex(n => n.tag === name);
+      if (open > 0) stack.length = open;
+      continue;
+    }
+    if (BLOCK_ELEMENTS.has(name) && top().tag === 'p') stack.pop();
+    if (name === 'li') {
+      const open = stack.findLastIndex(n => n.tag === 'li' || n.tag === 'ul' || n.tag === 'ol');
+      if (open > 0 && stack[open].tag === 'li') stack.length = open;
+    }
+    const attrs = {};
+    for (const [, attr, dq, sq, bare] of rest.matchAll(/([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+      attrs[attr.toLowerCase()] = decodeEntities(dq ?? sq ?? bare ?? '');
+    }
+    const node = { tag: name, attrs, children: [] };
+    top().children.push(node);
+    if (!VOID_ELEMENTS.has(name) && !rest.trimEnd().endsWith('/')) stack.push(node);
+  }
+  return root;
+}
+
+// Helper: the text of a node, as in textContent
+function textOf(node) {
+  return typeof node === 'string' ? node : node.children.map(textOf).join('');
+}
+
+/**
+ * Convert an HTML doc fragment to Markdown. Paragraphs, headings, lists, emphasis, code,
+ * preformatted text, blockquotes, links and images are converted; other elements are
+ * replaced by their content. Links to #fragments (and absolute URIs) found in `anchors`
+ * are rewritten to the Markdown anchors it maps them to, e.g. { term_Person: 'class-experson' }.
+ * @param {string} html
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.anchors] - HTML fragment id or URI -> Markdown anchor
+ * @param {number} [options.headingLevel] - Level <h1> becomes (default: 1)
+ * @returns {string}
+ */
+export function htmlToMarkdown(html, { anchors = {}, headingLevel = 1 } = {}) {
+  const href = (url = '') => {
+    if (url.startsWith('#') && anchors[url.slice(1)]) return `#${anchors[url.slice(1)]}`;
+    return anchors[url] ? `#${anchors[url]}` : url;
+  };
+  const code = (text) => {
+    const fence = text.includes('`') ? '``' : '`';
+    return `${fence}${fence.length > 1 ? ' ' : ''}${text}${fence.length > 1 ? ' ' : ''}${fence}`;
+  };
+  const inline = (nodes) => nodes.map(render).join('');
+  const block = (content) => `\n\n${content.trim()}\n\n`;
+
+  const render = (node) => {
+    if (typeof node === 'string') return escapeMarkdown(node.replace(/\s+/g, ' '));
+    const content = () => inline(node.children);
+    switch (node.tag) {
+      case 'p':
+      case 'div':
+        return block(content());
+      case 'br':
+        return '\\\n';
+      case 'hr':
+        return block('---');
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const level = Math.min(6, Number(node.tag[1]) + headingLevel - 1);
+        return block(`${'#'.repeat(level)} ${content().replace(/\s+/g, ' ').trim()}`);
+      }
+      case 'em': case 'i': case 'cite': case 'var': case 'dfn': {
+        const text = content().trim();
+        return text ? `*${text}*` : '';
+      }
+      case 'strong': case 'b': {
+        const text = content().trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'code': case 'tt': case 'kbd': case 'samp': {
+        const text = textOf(node).replace(/\s+/g, ' ');
+        // <code><a href>name</a></code>, as doc fragment linkification writes it
+        const anchor = node.children.length === 1 && node.children[0].tag === 'a' && node.children[0].attrs.href;
+        return anchor ? `[${code(text)}](${href(anchor)})` : code(text);
+      }
+      case 'a': {
+        const text = content().trim();
+        if (!node.attrs.href) return text;
+        return `[${text || node.attrs.href}](${href(node.attrs.href)})`;
+      }
+      case 'img':
+        return node.attrs.src ? `![${escapeMarkdown(node.attrs.alt || '')}](${node.attrs.src})` : '';
+      case 'pre':
+        return block(`\`\`\`\n${textOf(node).replace(/^\n/, '').trimEnd()}\n\`\`\``);
+      case 'blockquote':
+        return block(convert(node.children).split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+      case 'ul':
+      case 'ol': {
+        const items = node.children.filter(c => c.tag === 'li');
+        return block(items.map((item, i) => {
+          const marker = node.tag === 'ol' ? `${i + 1}. ` : '- ';
+          const body = convert(item.children);
+          return marker + body.split('\n').map((line, n) => (n && line ? ' '.repeat(marker.length) + line : line)).join('\n');
+        }).join('\n'));
+      }
+      default:
+        return content();
+    }
+  };
+  const convert = (nodes) => inline(nodes).replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  return convert(parseHtml(html).children);
+}
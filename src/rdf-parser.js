@@ -1,36 +1,289 @@
 import { RdfXmlParser } from 'rdfxml-streaming-parser';
-import { Parser as N3Parser } from 'n3';
+import { Parser as N3Parser, DataFactory, termToId } from 'n3';
+import { JsonLdParser } from 'jsonld-streaming-parser';
 import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { glob, isDynamicPattern } from 'tinyglobby';
+import { SpecgenParseError } from './errors.js';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+
+export const RDF_FORMATS = ['rdfxml', 'turtle', 'ntriples', 'jsonld', 'trig', 'nquads'];
+
+const N3_MIME_TYPES = {
+  turtle: 'text/turtle',
+  ntriples: 'application/n-triples',
+  trig: 'application/trig',
+  nquads: 'application/n-quads',
+};
 
 /**
- * Parse an RDF file (RDF/XML, Turtle, or NTriples) into an array of RDFJS quads.
- * @param {string} filePath - Path to the RDF file
- * @param {string} [format] - Format hint: 'rdfxml', 'turtle', 'ntriples'. Auto-detected from extension if omitted.
+ * Parse an RDF file (RDF/XML, Turtle, NTriples, JSON-LD, TriG, or N-Quads) into an array of RDFJS quads.
+ * @param {string} filePath - Path to the RDF file, or '-' to read from stdin
+ * @param {string} [format] - Format hint: 'rdfxml', 'turtle', 'ntriples', 'jsonld', 'trig', 'nquads'. Detected from content
+ *   (falling back to the file extension) if omitted.
+ * @param {object} [options]
+ * @param {Object<string, string|object>} [options.jsonldContexts] - Map of remote JSON-LD context IRIs to
+ *   local file paths or inline context objects. JSON-LD contexts are never fetched over the network.
+ * @param {boolean} [options.lenient] - Skip bad statements instead of failing. Turtle, TriG, N-Triples
+ *   and N-Quads resume after the faulty statement; RDF/XML and JSON-LD keep what was parsed before it.
+ * @param {function(SpecgenParseError)} [options.onWarning] - Called for each fault skipped in lenient mode
  * @returns {Promise<Array>} Array of RDFJS quads
+ * @throws {SpecgenParseError} If the content is not valid RDF in the chosen format; other
+ *   failures, such as a JSON-LD context that can't be loaded, are thrown as they are
+ */
+export async function parseRdf(filePath, format, options = {}) {
+  const content = await readRdfSource(filePath);
+  return parseRdfContent(content, filePath, format, options);
+}
+
+/**
+ * Read raw RDF text from a file, or from stdin when filePath is '-'.
+ */
+export async function readRdfSource(filePath) {
+  if (filePath === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf-8');
+  }
+  return readFile(filePath, 'utf-8');
+}
+
+/**
+ * Parse RDF text that has already been read (see readRdfSource). filePath is used for
+ * format detection and as the base IRI for JSON-LD; arguments otherwise match parseRdf.
  */
-export async function parseRdf(filePath, format) {
+export async function parseRdfContent(content, filePath, format, options = {}) {
   if (!format) {
-    if (filePath.endsWith('.rdf') || filePath.endsWith('.xml')) format = 'rdfxml';
-    else if (filePath.endsWith('.ttl')) format = 'turtle';
-    else if (filePath.endsWith('.nt')) format = 'ntriples';
-    else format = 'rdfxml';
+    format = detectFormat(content) || formatFromExtension(filePath) || 'rdfxml';
+  }
+  if (!RDF_FORMATS.includes(format)) {
+    throw new Error(`Unknown RDF format "${format}" (expected one of: ${RDF_FORMATS.join(', ')})`);
+  }
+
+  const toParseError = (err) => new SpecgenParseError(err.message, {
+    filePath: filePath === '-' ? '<stdin>' : filePath,
+    format,
+    line: err.line,
+    column: err.column,
+    source: content,
+    cause: err,
+  });
+  const onFault = options.lenient
+    ? (err) => options.onWarning?.(toParseError(err))
+    : null;
+
+  try {
+    if (format === 'rdfxml') {
+      return await parseRdfXml(content, onFault);
+    } else if (format === 'jsonld') {
+      const base = filePath === '-' ? `${process.cwd()}${path.sep}` : path.resolve(filePath);
+      return await parseJsonLd(content, pathToFileURL(base).href, options.jsonldContexts || {}, onFault);
+    } else if (onFault) {
+      return await parseN3Lenient(content, format, onFault);
+    }
+    return await parseN3(content, format);
+  } catch (err) {
+    throw isSyntaxError(err) ? toParseError(err) : err;
+  }
+}
+
+// Helper: whether a parser failure is a fault in the RDF text itself, rather than a JSON-LD
+// context that couldn't be loaded or an I/O error
+function isSyntaxError(err) {
+  return err.code !== 'loading remote context failed' && !err.syscall;
+}
+
+/**
+ * Parse one or more RDF sources and merge them into a single quad set.
+ * When several files are merged, duplicate triples are dropped and blank nodes are
+ * kept apart per file so that unrelated nodes from different parsers can't collide.
+ * A single file is returned exactly as parsed.
+ * @param {string|string[]} sources - File paths or glob patterns ('-' reads stdin)
+ * @param {string} [format] - Format hint applied to every file (see parseRdf)
+ * @param {object} [options] - Parser options (see parseRdf)
+ * @returns {Promise<{quads: Array, files: Array<{path: string, content: string}>, subjectSources: Map<string, string>}>}
+ *   subjectSources maps each subject IRI to the first file that gives it an rdf:type,
+ *   or failing that the first file that describes it.
+ */
+export async function parseRdfSources(sources, format, options = {}) {
+  const paths = await expandRdfPaths(sources);
+  const quads = [];
+  const files = [];
+  const seen = new Set();
+  const typedIn = new Map();
+  const describedIn = new Map();
+
+  const merging = paths.length > 1;
+
+  for (const [i, filePath] of paths.entries()) {
+    const content = await readRdfSource(filePath);
+    let fileQuads = await parseRdfContent(content, filePath, format, options);
+    if (merging) fileQuads = fileQuads.map(q => scopeBlankNodes(q, `f${i}_`));
+
+    for (const q of fileQuads) {
+      if (merging) {
+        const key = `${termToId(q.subject)} ${termToId(q.predicate)} ${termToId(q.object)} ${termToId(q.graph)}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+      quads.push(q);
+
+      const subject = q.subject.value;
+      if (!describedIn.has(subject)) describedIn.set(subject, filePath);
+      if (q.predicate.value === RDF_TYPE && !typedIn.has(subject)) typedIn.set(subject, filePath);
+    }
+    files.push({ path: filePath, content });
+  }
+
+  const subjectSources = new Map([...describedIn, ...typedIn]);
+  return { quads, files, subjectSources };
+}
+
+/**
+ * Expand a list of paths and glob patterns into concrete file paths, in a stable order.
+ * Plain paths are passed through untouched; a pattern that matches nothing is an error.
+ */
+async function expandRdfPaths(sources) {
+  const result = [];
+  for (const source of [].concat(sources)) {
+    if (source === '-' || !isDynamicPattern(source)) {
+      result.push(source);
+      continue;
+    }
+    const matches = await glob(source, { absolute: path.isAbsolute(source) });
+    if (matches.length === 0) throw new Error(`No RDF files match ${source}`);
+    result.push(...matches.sort());
+  }
+  return [...new Set(result)];
+}
+
+function scopeBlankNodes(quad, prefix) {
+  const scope = (term) => term.termType === 'BlankNode' ? DataFactory.blankNode(prefix + term.value) : term;
+  return DataFactory.quad(scope(quad.subject), quad.predicate, scope(quad.object), scope(quad.graph));
+}
+
+/**
+ * Restrict quads to selected named graphs and note which graph each subject came from.
+ * Once graphs have been recorded, triples repeated across graphs are collapsed so that
+ * extraction sees each statement once. Input with only a default graph is returned as-is.
+ * @param {Array} quads - RDFJS quads
+ * @param {string[]} [graphs] - Graph IRIs to keep; 'default' selects the default graph. Empty keeps all.
+ * @returns {{quads: Array, subjectGraphs: Map<string, string[]>}} subjectGraphs maps each subject IRI
+ *   to the graphs it is described in, declaring graph first ('' is the default graph).
+ */
+export function selectGraphs(quads, graphs = []) {
+  let selected = quads;
+  if (graphs.length) {
+    const wanted = new Set(graphs.map(g => g === 'default' ? '' : g));
+    selected = quads.filter(q => wanted.has(q.graph.value));
+    const found = new Set(selected.map(q => q.graph.value));
+    for (const g of wanted) {
+      if (!found.has(g)) throw new Error(`No statements in graph ${g || 'default'}`);
+    }
   }
 
-  const content = await readFile(filePath, 'utf-8');
+  const typedIn = new Map();
+  const describedIn = new Map();
+  for (const q of selected) {
+    const subject = q.subject.value;
+    if (!describedIn.has(subject)) describedIn.set(subject, new Set());
+    describedIn.get(subject).add(q.graph.value);
+    if (q.predicate.value === RDF_TYPE && !typedIn.has(subject)) typedIn.set(subject, q.graph.value);
+  }
+  const subjectGraphs = new Map();
+  for (const [subject, described] of describedIn) {
+    const declaring = typedIn.has(subject) ? [typedIn.get(subject)] : [];
+    subjectGraphs.set(subject, [...new Set([...declaring, ...described])]);
+  }
 
-  if (format === 'rdfxml') {
-    return parseRdfXml(content);
-  } else {
-    return parseN3(content, format);
+  if (selected.every(q => q.graph.termType === 'DefaultGraph')) return { quads: selected, subjectGraphs };
+
+  const seen = new Set();
+  const triples = [];
+  for (const q of selected) {
+    const key = `${termToId(q.subject)} ${termToId(q.predicate)} ${termToId(q.object)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    triples.push(DataFactory.quad(q.subject, q.predicate, q.object));
   }
+  return { quads: triples, subjectGraphs };
+}
+
+function formatFromExtension(filePath) {
+  if (filePath.endsWith('.rdf') || filePath.endsWith('.xml')) return 'rdfxml';
+  if (filePath.endsWith('.ttl')) return 'turtle';
+  if (filePath.endsWith('.nt')) return 'ntriples';
+  if (filePath.endsWith('.trig')) return 'trig';
+  if (filePath.endsWith('.nq')) return 'nquads';
+  if (filePath.endsWith('.jsonld') || filePath.endsWith('.json')) return 'jsonld';
+  return null;
+}
+
+// N-Triples / N-Quads statements: IRI or blank node subject, IRI predicate, any object,
+// an optional graph label for N-Quads, and a final dot.
+const IRI = '<[^>\\s]*>';
+const NODE = `(?:${IRI}|_:\\S+)`;
+const OBJECT = `(?:${NODE}|"(?:[^"\\\\]|\\\\.)*"(?:@[\\w-]+|\\^\\^${IRI})?)`;
+const NTRIPLES_LINE = new RegExp(`^${NODE}\\s+${IRI}\\s+${OBJECT}\\s*\\.\\s*(#.*)?$`);
+const NQUADS_LINE = new RegExp(`^${NODE}\\s+${IRI}\\s+${OBJECT}\\s+${NODE}\\s*\\.\\s*(#.*)?$`);
+// A TriG graph block at the start of a line: "{", "GRAPH <g> {", "<g> {" or "ex:g {"
+const TRIG_GRAPH_BLOCK = /^\s*(GRAPH\s+)?(<[^>\s]*>|[\w-]*:[\w.-]*|_:\S+)?\s*\{/im;
+
+/**
+ * Guess the RDF serialization from the text itself.
+ * Looks for an XML prolog or element such as rdf:RDF (RDF/XML), a leading JSON object or array (JSON-LD),
+ * @prefix/PREFIX/@base/BASE directives (Turtle, or TriG when graph blocks appear),
+ * and N-Triples/N-Quads statement shapes.
+ * @param {string} content - Raw RDF text
+ * @returns {string|null} One of RDF_FORMATS, or null if nothing matched
+ */
+export function detectFormat(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  // '#' comments are Turtle/N-Triples only; skip them to reach the first statement
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (lines.length === 0) return null;
+  const first = lines[0];
+
+  if (first.startsWith('<?xml') || first.startsWith('<!')) return 'rdfxml';
+  // An element such as <rdf:RDF ...>; IRIs like <http://...> never match an XML name here
+  if (/^<[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?[\s/>]/.test(first)) return 'rdfxml';
+  // A JSON object or array; a Turtle "[ ex:p ... ]" blank node is not followed by { or ],
+  // and a TriG default-graph block "{ <s> ... }" is not followed by a JSON key. A bare
+  // opening bracket is told apart by what the next line starts with.
+  const head = lines.slice(0, 2).join(' ');
+  if (/^\{\s*("|\}|$)/.test(head) || /^\[\s*(\{|\]|$)/.test(head)) return 'jsonld';
+
+  const sample = lines.slice(0, 20);
+  if (sample.every(l => NTRIPLES_LINE.test(l))) return 'ntriples';
+  if (sample.every(l => NTRIPLES_LINE.test(l) || NQUADS_LINE.test(l))) return 'nquads';
+
+  const turtleLike = /^(@prefix|@base)\b/.test(first) || /^(PREFIX|BASE|GRAPH)\b/i.test(first)
+    || /^(<|_:|\[|\{|[\w-]*:)/.test(first);
+  if (turtleLike) return TRIG_GRAPH_BLOCK.test(text) ? 'trig' : 'turtle';
+  return null;
 }
 
-function parseRdfXml(content) {
+// The low-level parsers below reject with the parser's own error, annotated with
+// 1-based err.line/err.column where the parser can tell us. When onFault is given
+// (lenient mode) they report the fault there and resolve with what they have instead.
+
+function parseRdfXml(content, onFault) {
   return new Promise((resolve, reject) => {
-    const parser = new RdfXmlParser();
+    const parser = new RdfXmlParser({ trackPosition: true });
     const quads = [];
     parser.on('data', (quad) => quads.push(quad));
-    parser.on('error', reject);
+    let failed = false;
+    parser.on('error', (err) => {
+      if (failed) return;
+      failed = true;
+      // Position is reported separately, so drop the parser's own "Line X column Y: " prefix
+      err.message = err.message.replace(/^Line \d+ column \d+: /, '');
+      err.line = parser.saxParser.line;
+      err.column = parser.saxParser.column + 1;
+      if (onFault && isSyntaxError(err)) { onFault(err); resolve(quads); } else reject(err);
+    });
     parser.on('end', () => resolve(quads));
     parser.end(content);
   });
@@ -38,13 +291,99 @@ function parseRdfXml(content) {
 
 function parseN3(content, format) {
   return new Promise((resolve, reject) => {
-    const mimeType = format === 'turtle' ? 'text/turtle' : 'application/n-triples';
-    const parser = new N3Parser({ format: mimeType });
+    const parser = new N3Parser({ format: N3_MIME_TYPES[format] });
     const quads = [];
     parser.parse(content, (error, quad) => {
-      if (error) reject(error);
+      if (error) {
+        error.message = error.message.replace(/ on line \d+\.$/, '');
+        error.line = error.context?.line;
+        if (error.context?.token) error.column = error.context.token.start + 1;
+        reject(error);
+      }
       else if (quad) quads.push(quad);
       else resolve(quads);
     });
   });
 }
+
+const MAX_LENIENT_FAULTS = 100;
+
+/**
+ * Parse line-oriented N3-family content, skipping statements that fail to parse.
+ * The faulty statement is blanked out (keeping line numbers stable) and the whole
+ * document re-parsed, so blank node labels stay consistent across the retry.
+ */
+async function parseN3Lenient(content, format, onFault) {
+  const lines = content.split('\n');
+  for (let faults = 0; ; faults++) {
+    try {
+      return await parseN3(lines.join('\n'), format);
+    } catch (err) {
+      if (!err.line || faults >= MAX_LENIENT_FAULTS) throw err;
+      const [first, last] = statementRange(lines, err.line - 1);
+      if (lines.slice(first, last + 1).every(l => !l.trim())) throw err;
+      onFault(err);
+      for (let i = first; i <= last; i++) lines[i] = '';
+    }
+  }
+}
+
+// Lines [first, last] of the statement containing line index idx: statements end at a
+// line finishing with '.', and TriG graph blocks open and close with '{' / '}'.
+function statementRange(lines, idx) {
+  const ends = (l) => /[.{}]\s*(#.*)?$/.test(l.trim());
+  let first = idx;
+  while (first > 0 && !ends(lines[first - 1])) first--;
+  let last = idx;
+  while (last < lines.length - 1 && !ends(lines[last])) last++;
+  return [first, last];
+}
+
+function parseJsonLd(content, baseIRI, contexts, onFault) {
+  return new Promise((resolve, reject) => {
+    const parser = new JsonLdParser({ baseIRI, documentLoader: new LocalDocumentLoader(contexts) });
+    const quads = [];
+    parser.on('data', (quad) => quads.push(quad));
+    let failed = false;
+    parser.on('error', (err) => {
+      // Only the first fault is meaningful; the tokenizer reports follow-on errors after it
+      if (failed) return;
+      failed = true;
+      // The JSON tokenizer tracks a byte offset; turn it into a line and column
+      const offset = parser.jsonParser.offset;
+      if (offset >= 0) {
+        const before = Buffer.from(content).subarray(0, offset).toString('utf-8').split('\n');
+        err.line = before.length;
+        err.column = before[before.length - 1].length + 1;
+      }
+      if (onFault && isSyntaxError(err)) { onFault(err); resolve(quads); } else reject(err);
+    });
+    parser.on('end', () => resolve(quads));
+    parser.end(content);
+  });
+}
+
+/**
+ * JSON-LD document loader that resolves remote contexts from a local map or from disk.
+ * Map values may be file paths or inline context objects; file: IRIs (including
+ * relative @context references, which resolve against the input file) are read directly.
+ * Anything else is an error — we never go to the network.
+ */
+class LocalDocumentLoader {
+  constructor(contexts) {
+    this.contexts = contexts;
+  }
+
+  async load(url) {
+    let doc = this.contexts[url];
+    if (doc === undefined && url.startsWith('file:')) doc = fileURLToPath(url);
+    if (doc === undefined) {
+      throw new Error(`No local copy of JSON-LD context ${url} (map it with --jsonld-context ${url}=<file>)`);
+    }
+    if (typeof doc === 'string') {
+      doc = JSON.parse(await readFile(doc, 'utf-8'));
+    }
+    // Accept bare context objects as well as full context documents
+    return '@context' in doc ? doc : { '@context': doc };
+  }
+}
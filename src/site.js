@@ -0,0 +1,145 @@
+import nunjucks from 'nunjucks';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { exportSpecModel } from './spec-generator.js';
+import { buildClassDiagram, diagramToSvg } from './diagram.js';
+
+const TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../templates');
+
+// Term kinds with a page each, as [model key, directory]
+const PAGE_KINDS = [
+  ['classes', 'classes'],
+  ['properties', 'properties'],
+  ['datatypes', 'datatypes'],
+  ['vocabularyEncodingSchemes', 'ves'],
+];
+
+const nunjucksEnv = new nunjucks.Environment(null, { autoescape: false });
+
+/**
+ * Render a multi-page site: index.html plus a page per class, property, datatype and
+ * vocabulary encoding scheme (classes/<Term>.html, properties/<term>.html, datatypes/...,
+ * ves/...), and per term of each extra vocabulary (<name>/classes/<Term>.html, ...).
+ * Characters of a local name other than letters, digits, '.', '_' and '-' become '_' in
+ * its page's file name, and a clash with an earlier page (ignoring case) gets a '-2', '-3', ... suffix.
+ * Takes generateSpec's options, minus `templatePath`, `onLinkProblem` and `termAnchor`, plus:
+ * `indexTemplatePath` and `termTemplatePath` (default: templates/site-index.njk and
+ * templates/site-term.njk).
+ *
+ * Both templates get the spec model (see exportSpecModel), `diagram` (as for generateSpec) and
+ *   root: the path from the page to the site root ('' or '../', ...),
+ *   hrefs: { uri: page path from the site root } for every term with a page.
+ * Term pages also get
+ *   term: the term, termKind: its model key ('classes', ...),
+ *   vocab: the extra vocabulary's name, or null for the main vocabulary,
+ *   breadcrumbs: the chain of super-classes (or -properties) down to the term, each
+ *     { uri, localName, label, href }, following the first superclass that has a page.
+ * Doc fragment links to #term_<Term> and #<name>-<Term> are rewritten to the term pages.
+ * @returns {Promise<Map<string, string>>} page path -> HTML, index.html first
+ * @throws {SpecgenParseError} If an input file is not valid RDF
+ */
+export async function renderSite(opts) {
+  const {
+    indexTemplatePath = path.join(TEMPLATES_DIR, 'site-index.njk'),
+    termTemplatePath = path.join(TEMPLATES_DIR, 'site-term.njk'),
+  } = opts;
+  // Doc fragment links to #term_<Term> are rewritten to the term pages below
+  const model = await exportSpecModel({ ...opts, termAnchor: 'term_{name}' });
+  const [indexTemplate, termTemplate] = await Promise.all([
+    readFile(indexTemplatePath, 'utf-8'),
+    readFile(termTemplatePath, 'utf-8'),
+  ]);
+
+  // Every page to write, and the path of each term's page for links between them
+  const vocabs = [[null, model, ''], ...Object.entries(model.extraVocabs).map(([name, extra]) => [name, extra, `${name}/`])];
+  const pages = [];
+  const hrefs = {};
+  const fragmentTargets = new Map(); // doc fragment #id -> page path
+  const taken = new Set();
+  for (const [vocab, source, dir] of vocabs) {
+    for (const [kind, kindDir] of PAGE_KINDS) {
+      for (const term of source[kind] || []) {
+        const href = pagePathOf(`${dir}${kindDir}/`, term.localName, taken);
+        pages.push({ vocab, source, kind, term, href });
+        hrefs[term.uri] ??= href;
+        const id = vocab ? `${vocab}-${term.localName}` : `term_${term.localName}`;
+        if (!fragmentTargets.has(id)) fragmentTargets.set(id, href);
+      }
+    }
+  }
+
+  // The class diagram is only laid out for templates that use it
+  if (/\bdiagram\b/.test(indexTemplate + termTemplate)) model.diagram = diagramToSvg(buildClassDiagram(model));
+
+  const output = new Map();
+  output.set('index.html', nunjucksEnv.renderString(indexTemplate, { ...model, root: '', hrefs }));
+  for (const { vocab, source, kind, term, href } of pages) {
+    const root = '../'.repeat(href.split('/').length - 1);
+    const view = {
+      ...model,
+      root,
+      hrefs,
+      term: { ...term, docFragment: rewriteFragmentLinks(term.docFragment, fragmentTargets, root) },
+      termKind: kind,
+      vocab,
+      breadcrumbs: breadcrumbsOf(term, source[kind], hrefs),
+    };
+    output.set(href, nunjucksEnv.renderString(termTemplate, view));
+  }
+  return output;
+}
+
+// Helper: a page path under `dir` for a local name, safe as both a file name and an href
+// and not yet in `taken` (which it is added to)
+function pagePathOf(dir, localName, taken) {
+  const base = `${dir}${localName.replace(/[^\w.-]/g, '_') || '_'}`;
+  let href = `${base}.html`;
+  for (let n = 2; taken.has(href.toLowerCase()); n++) href = `${base}-${n}.html`;
+  taken.add(href.toLowerCase());
+  return href;
+}
+
+/**
+ * Render a multi-page site (see renderSite) and write it to `outputDir`, creating
+ * directories as needed.
+ * @returns {Promise<string[]>} The written files, relative to outputDir
+ * @throws {SpecgenParseError} If an input file is not valid RDF
+ */
+export async function generateSite(opts) {
+  const { outputDir } = opts;
+  if (!outputDir) throw new Error('generateSite needs an outputDir');
+  const pages = await renderSite(opts);
+  for (const [file, html] of pages) {
+    const target = path.join(outputDir, file);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, html);
+  }
+  return [...pages.keys()];
+}
+
+// Helper: the chain of superterms (root first) above a term, through the first superclass
+// or superproperty of each that is one of `terms`; cycles end the chain
+function breadcrumbsOf(term, terms, hrefs) {
+  const byUri = new Map(terms.map(t => [t.uri, t]));
+  const chain = [];
+  const seen = new Set([term.uri]);
+  let current = term;
+  for (;;) {
+    const parent = (current.subClassOf || current.subPropertyOf || []).map(u => byUri.get(u)).find(Boolean);
+    if (!parent || seen.has(parent.uri)) break;
+    seen.add(parent.uri);
+    chain.unshift({ uri: parent.uri, localName: parent.localName, label: parent.label, href: hrefs[parent.uri] });
+    current = parent;
+  }
+  return chain;
+}
+
+// Helper: point doc fragment links to #term_<Term> (or #<name>-<Term>) at the term's page
+function rewriteFragmentLinks(html, targets, root) {
+  if (!html) return html;
+  return html.replace(/(href\s*=\s*)(["'])#([^"']+)\2/g, (m, attr, quote, id) => {
+    const target = targets.get(id);
+    return target ? `${attr}${quote}${root}${target}${quote}` : m;
+  });
+}
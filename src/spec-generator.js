@@ -1,7 +1,13 @@
 import nunjucks from 'nunjucks';
 import { readFile, readdir } from 'fs/promises';
 import path from 'path';
-import { parseRdf } from './rdf-parser.js';
+import { Writer as N3Writer } from 'n3';
+import { parseRdfSources, selectGraphs } from './rdf-parser.js';
+import { loadCatalog, resolveImports } from './catalog.js';
+import { loadLabelRegistry } from './label-registry.js';
+import { checkLinks } from './link-checker.js';
+import { buildClassDiagram, diagramToSvg } from './diagram.js';
+import { compareVocabularies, formatDiffHtml } from './diff.js';
 
 const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
 const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
@@ -10,6 +16,21 @@ const DCTERMS = 'http://purl.org/dc/terms/';
 const DCAM = 'http://purl.org/dc/dcam/';
 const VS = 'http://www.w3.org/2003/06/sw-vocab-status/ns#';
 const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+const SCHEMA = 'http://schema.org/';
+const DC = 'http://purl.org/dc/elements/1.1/';
+const VANN = 'http://purl.org/vocab/vann/';
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+const CC = 'http://creativecommons.org/ns#';
+
+// Predicates pointing from a retired term to its replacement
+const REPLACED_BY = [
+  `${DCTERMS}isReplacedBy`,
+  `${SCHEMA}supersededBy`,
+  'https://schema.org/supersededBy',
+];
+
+// Lexical forms of xsd:boolean true (e.g. owl:deprecated "1"^^xsd:boolean)
+const TRUE_LITERALS = new Set(['true', '1']);
 
 const CLASS_TYPES = new Set([
   `${RDFS}Class`,
@@ -33,6 +54,31 @@ const VES_TYPES = new Set([
   `${DCAM}VocabularyEncodingScheme`,
 ]);
 
+// Predicates feeding the standard term fields, in priority order (see extractVocabulary)
+const DEFAULT_FIELDS = {
+  label: [`${RDFS}label`],
+  comment: [`${RDFS}comment`],
+  description: [`${DCTERMS}description`],
+  status: [`${VS}term_status`],
+  issued: [`${DCTERMS}issued`],
+  memberOf: [`${DCAM}memberOf`],
+  domain: [`${RDFS}domain`],
+  range: [`${RDFS}range`],
+  domainIncludes: [`${DCAM}domainIncludes`],
+  rangeIncludes: [`${DCAM}rangeIncludes`],
+  seeAlso: [`${RDFS}seeAlso`],
+};
+
+// Standard fields holding every value rather than the first
+const LIST_FIELDS = new Set(['domain', 'range', 'domainIncludes', 'rangeIncludes', 'seeAlso']);
+
+// owl:Restriction cardinality predicates: [unqualified, qualified, Manchester keyword]
+const CARDINALITY_KINDS = [
+  ['minCardinality', 'minQualifiedCardinality', 'min'],
+  ['maxCardinality', 'maxQualifiedCardinality', 'max'],
+  ['cardinality', 'qualifiedCardinality', 'exactly'],
+];
+
 // Configure nunjucks: no autoescape (we're generating HTML from trusted RDF data),
 // no template path lookup (we load templates ourselves).
 const nunjucksEnv = new nunjucks.Environment(null, { autoescape: false });
@@ -53,41 +99,333 @@ function formatTermRef(uri, ns) {
   return { uri, localName: localNameFromUri(uri), isLocal: false };
 }
 
+/**
+ * Subject/predicate/object indexes over a quad array, so extraction doesn't rescan every
+ * quad per lookup. Each index keeps quads in document order, so lookups return exactly
+ * what a linear scan of the array would.
+ */
+class QuadIndex {
+  constructor(quads) {
+    this._sp = new Map(); // subject -> predicate -> [quad]
+    this._po = new Map(); // predicate -> object -> [quad]
+    this._p = new Map();  // predicate -> [quad]
+    this._blank = new Set(); // blank node labels
+    for (const q of quads) {
+      const s = q.subject.value;
+      const p = q.predicate.value;
+      const o = q.object.value;
+      if (!this._sp.has(s)) this._sp.set(s, new Map());
+      const bySubject = this._sp.get(s);
+      if (!bySubject.has(p)) bySubject.set(p, []);
+      bySubject.get(p).push(q);
+      if (!this._po.has(p)) this._po.set(p, new Map());
+      const byPredicate = this._po.get(p);
+      if (!byPredicate.has(o)) byPredicate.set(o, []);
+      byPredicate.get(o).push(q);
+      if (!this._p.has(p)) this._p.set(p, []);
+      this._p.get(p).push(q);
+      if (q.subject.termType === 'BlankNode') this._blank.add(s);
+      if (q.object.termType === 'BlankNode') this._blank.add(o);
+    }
+  }
+
+  /** Whether there are any quads about the given subject. */
+  describes(subject) {
+    return this._sp.has(subject);
+  }
+
+  /** Whether a subject/object value is a blank node label. */
+  isBlank(value) {
+    return this._blank.has(value);
+  }
+
+  /** Quads with the given subject and predicate. */
+  match(subject, predicate) {
+    return this._sp.get(subject)?.get(predicate) || [];
+  }
+
+  /** Quads with the given predicate and, if given, object. */
+  withPredicate(predicate, object) {
+    if (object === undefined) return this._p.get(predicate) || [];
+    return this._po.get(predicate)?.get(object) || [];
+  }
+}
+
+// Helper: a class expression node. Carries the same fields as a formatted reference, so
+// templates can show its label, but has no URI to link to.
+function classExpression(op, fields, label) {
+  return { op, ...fields, uri: '', localName: '', label, isLocal: false };
+}
+
+// Helper: label of a class expression operand, parenthesized when it is itself compound
+function operandLabel(expr) {
+  return expr.op && expr.op !== 'oneOf' && expr.op !== 'complementOf' ? `(${expr.label})` : expr.label;
+}
+
+// Helper: the named classes a domain/range stands for: itself, or each member of a union
+function unionMembers(expr) {
+  if (!expr.op) return [expr.uri];
+  return expr.op === 'unionOf' ? expr.members.flatMap(unionMembers) : [];
+}
+
+// Helper: the restrictions a superclass expression imposes: itself, or those it intersects
+function restrictionsOf(expr) {
+  if (expr.op === 'restriction') return [expr];
+  return expr.op === 'intersectionOf' ? expr.members.flatMap(restrictionsOf) : [];
+}
+
+// Helper: every named class mentioned in a class expression
+function namedClasses(expr) {
+  if (!expr.op) return [expr.uri];
+  if (expr.op === 'oneOf' || (expr.op === 'restriction' && expr.kind === 'hasValue')) return [];
+  return [...(expr.members || []), ...(expr.filler ? [expr.filler] : [])].flatMap(namedClasses);
+}
+
+// Helper: everything reachable from start by following next, breadth-first (nearest first),
+// excluding start itself. Safe against cycles.
+function transitiveClosure(start, next) {
+  const seen = new Set([start]);
+  const order = [];
+  const queue = [start];
+  while (queue.length) {
+    for (const v of next(queue.shift())) {
+      if (seen.has(v)) continue;
+      seen.add(v);
+      order.push(v);
+      queue.push(v);
+    }
+  }
+  return order;
+}
+
+// Helper: nest terms into an outline by their direct parents (a function uri -> [uri]).
+// Roots are terms without a parent among the terms; children are sorted by local name.
+// Terms only reachable through a cycle become roots; a cycle is never followed twice.
+function buildTree(terms, parentsOf) {
+  const byUri = new Map(terms.map(t => [t.uri, t]));
+  const childrenOf = new Map();
+  const roots = [];
+  for (const term of terms) {
+    const parents = parentsOf(term.uri).filter(u => byUri.has(u) && u !== term.uri);
+    if (!parents.length) roots.push(term);
+    for (const p of parents) {
+      if (!childrenOf.has(p)) childrenOf.set(p, []);
+      childrenOf.get(p).push(term);
+    }
+  }
+  const byName = (a, b) => a.localName < b.localName ? -1 : a.localName > b.localName ? 1 : 0;
+  const placed = new Set();
+  const node = (term, path) => {
+    placed.add(term.uri);
+    const children = (childrenOf.get(term.uri) || [])
+      .filter(c => !path.has(c.uri))
+      .sort(byName)
+      .map(c => node(c, new Set(path).add(c.uri)));
+    return { uri: term.uri, localName: term.localName, label: term.label, children };
+  };
+  const tree = roots.sort(byName).map(t => node(t, new Set([t.uri])));
+  for (const term of [...terms].sort(byName)) {
+    if (!placed.has(term.uri)) tree.push(node(term, new Set([term.uri])));
+  }
+  return tree;
+}
+
 // Helper: get all objects for a given subject+predicate
-function getValues(quads, subject, predicate) {
-  return quads
-    .filter(q => q.subject.value === subject && q.predicate.value === predicate)
-    .map(q => q.object.value);
+function getValues(index, subject, predicate) {
+  return index.match(subject, predicate).map(q => q.object.value);
 }
 
 // Helper: get first object value for a given subject+predicate
-function getValue(quads, subject, predicate) {
-  const q = quads.find(q => q.subject.value === subject && q.predicate.value === predicate);
+function getValue(index, subject, predicate) {
+  const q = index.match(subject, predicate)[0];
   return q ? q.object.value : undefined;
 }
 
+// Helper: the items (as RDF terms) of the rdf:List starting at head
+function getList(index, head) {
+  const items = [];
+  const seen = new Set();
+  while (head && head !== `${RDF}nil` && !seen.has(head)) {
+    seen.add(head);
+    const first = index.match(head, `${RDF}first`)[0];
+    if (first) items.push(first.object);
+    head = getValue(index, head, `${RDF}rest`);
+  }
+  return items;
+}
+
+// Helper: does a literal's language tag match a language range? '' matches untagged
+// literals; otherwise basic RFC 4647 filtering, so 'en' also matches 'en-GB'.
+function langMatches(term, range) {
+  const tag = (term.language || '').toLowerCase();
+  range = range.toLowerCase();
+  return range === '' ? tag === '' : tag === range || tag.startsWith(`${range}-`);
+}
+
+// Helper: get the object value in the first matching language of a fallback chain.
+// Without a chain (or when nothing matches) this is the same as getValue.
+function getText(index, subject, predicate, languages) {
+  if (!languages) return getValue(index, subject, predicate);
+  const candidates = index.match(subject, predicate);
+  for (const lang of languages) {
+    const q = candidates.find(q => langMatches(q.object, lang));
+    if (q) return q.object.value;
+  }
+  return candidates.length ? candidates[0].object.value : undefined;
+}
+
+// Helper: all values of a repeatable text field (e.g. skos:altLabel) in the first language
+// of the fallback chain that has any; without a chain (or a match), every value.
+function getTexts(index, subject, predicate, languages) {
+  const candidates = index.match(subject, predicate);
+  for (const lang of languages || []) {
+    const matching = candidates.filter(q => langMatches(q.object, lang));
+    if (matching.length) return [...new Set(matching.map(q => q.object.value))];
+  }
+  return [...new Set(candidates.map(q => q.object.value))];
+}
+
+// Helper: every language variant of a text field, as { [languageTag]: value } ('' = untagged)
+function getTextVariants(index, subject, predicate) {
+  const variants = {};
+  for (const q of index.match(subject, predicate)) {
+    const lang = q.object.language || '';
+    if (!(lang in variants)) variants[lang] = q.object.value;
+  }
+  return variants;
+}
+
+// Helper: a predicate written as a prefixed name such as skos:definition, or a full IRI
+// (http://..., urn:..., tag:...) whose scheme isn't a known prefix
+function expandPredicate(name, prefixes) {
+  if (typeof name !== 'string') throw new Error(`Field mapping predicates must be strings, got ${JSON.stringify(name)}`);
+  if (/^[a-z][\w+.-]*:\/\//i.test(name)) return name;
+  const colon = name.indexOf(':');
+  const namespace = colon > 0 && Object.keys(prefixes).find(ns => prefixes[ns] === name.slice(0, colon));
+  if (namespace) return namespace + name.slice(colon + 1);
+  if (/^[a-z][\w+.-]*:\S+$/i.test(name)) return name;
+  throw new Error(`Not an IRI or prefixed name in field mapping: ${name}`);
+}
+
+// Helper: the field mapping with defaults filled in and predicates expanded to IRIs.
+// Keys other than the standard fields are custom fields: a predicate list (first value)
+// or { predicates, multiple } where multiple collects every value.
+function resolveFields(config = {}, prefixes = {}) {
+  const expand = (name, predicates) => {
+    const list = [].concat(predicates ?? []);
+    if (!list.length) throw new Error(`Field ${name} needs predicates`);
+    return list.map(p => expandPredicate(p, prefixes));
+  };
+  const standard = { ...DEFAULT_FIELDS };
+  const custom = {};
+  for (const [name, spec] of Object.entries(config)) {
+    const listed = Array.isArray(spec) || typeof spec === 'string';
+    if (name in DEFAULT_FIELDS) {
+      if (!listed) throw new Error(`Field ${name} needs predicates`);
+      standard[name] = expand(name, spec);
+    } else {
+      const predicates = listed ? spec : spec?.predicates;
+      custom[name] = { predicates: expand(name, predicates), multiple: Boolean(spec?.multiple) };
+    }
+  }
+  return { standard, custom };
+}
+
 /**
  * Extract vocabulary data (classes, properties) from parsed RDF quads.
+ * options.importedQuads (e.g. from resolveImports) are only consulted for labels and
+ * comments of terms the vocabulary itself doesn't describe, and options.labelQuads (the
+ * label registry, see loadLabelRegistry) for those neither describes.
+ * options.prefixes maps namespaces to prefixes; references get a `curie` such as
+ * owl:Thing for display, or their full URI outside those namespaces.
+ * options.fields picks the predicates behind term fields, in priority order, e.g.
+ * { comment: ['skos:definition', 'rdfs:comment'], domainIncludes: ['schema:domainIncludes'] }.
+ * Text fields take the first predicate with a value; domain, range, domainIncludes,
+ * rangeIncludes and seeAlso collect every value. Any other key declares a custom field,
+ * extracted onto every term's `custom` object: { editorialNote: ['skos:editorialNote'] }
+ * gives the first value, { tags: { predicates: ['ex:tag'], multiple: true } } all of them.
+ * Predicates are IRIs or prefixed names using options.prefixes or well-known prefixes.
+ * options.languages is a language fallback chain such as ['fr', 'en', ''] ('' = untagged)
+ * used to pick labels, comments and descriptions; every term also gets `variants` with
+ * all languages of each text field.
  */
 export function extractVocabulary(quads, options = {}) {
   const ns = options.namespace || '';
+  const languages = options.languages || null;
+  const index = new QuadIndex(quads);
+  const importedIndex = new QuadIndex(options.importedQuads || []);
+  const labelIndex = new QuadIndex(options.labelQuads || []);
+  const prefixes = Object.entries(options.prefixes || {}).sort(([a], [b]) => b.length - a.length);
+  const fields = resolveFields(options.fields, { ...KNOWN_PREFIXES, ...options.prefixes });
+
+  // Helper: a term's name within the namespace (its last URI segment without one)
+  const localNameOf = (uri) => ns ? uri.slice(ns.length) : localNameFromUri(uri);
+
+  // Helper: text field in the preferred language
+  const text = (u, predicate) => getText(index, u, predicate, languages);
+
+  // Helpers: a mapped field from the first of its predicates with a value (every value for lists)
+  const fieldText = (u, predicates, from = index) => {
+    for (const p of predicates) {
+      const value = getText(from, u, p, languages);
+      if (value) return value;
+    }
+    return '';
+  };
+  const fieldValue = (u, predicates) => predicates.map(p => getValue(index, u, p)).find(Boolean) || '';
+  const fieldValues = (u, predicates) => [...new Set(predicates.flatMap(p => getValues(index, u, p)))];
+  const fieldVariants = (u, predicates) => predicates
+    .map(p => getTextVariants(index, u, p))
+    .find(variants => Object.keys(variants).length) || {};
+  const field = (u, name) => fieldText(u, fields.standard[name]);
+  const textVariants = (u) => ({
+    label: fieldVariants(u, fields.standard.label),
+    comment: fieldVariants(u, fields.standard.comment),
+    description: fieldVariants(u, fields.standard.description),
+  });
+  const customFields = (u) => Object.fromEntries(Object.entries(fields.custom).map(([name, { predicates, multiple }]) => [
+    name,
+    multiple ? fieldValues(u, predicates) : fieldText(u, predicates),
+  ]));
+
+  // Helper: label/comment for a referenced term, falling back to imported ontologies, then the registry
+  const refText = (u, predicates) => fieldText(u, predicates)
+    || fieldText(u, predicates, importedIndex)
+    || fieldText(u, predicates, labelIndex);
+  const refLabel = (u) => refText(u, fields.standard.label);
+  const refComment = (u) => refText(u, fields.standard.comment);
+
+  // Helper: prefixed name for display, e.g. owl:Thing (the full URI if no namespace matches)
+  const curieOf = (u) => {
+    for (const [namespace, prefix] of prefixes) {
+      if (u.startsWith(namespace) && /^[A-Za-z_][\w.-]*$/.test(u.slice(namespace.length))) {
+        return `${prefix}:${u.slice(namespace.length)}`;
+      }
+    }
+    return u;
+  };
 
   // Find all subjects with their rdf:type values
-  const typeQuads = quads.filter(q => q.predicate.value === `${RDF}type`);
+  const typeQuads = index.withPredicate(`${RDF}type`);
 
   // Collect URIs that are classes, properties, datatypes, or VES within the namespace
   const classUris = new Set();
   const propertyUris = new Set();
   const datatypeUris = new Set();
   const vesUris = new Set();
+  const schemeUris = new Set();
+  const conceptUris = new Set();
 
   for (const q of typeQuads) {
     const uri = q.subject.value;
     if (ns && !uri.startsWith(ns)) continue;
+    if (q.subject.termType === 'BlankNode') continue; // anonymous class expressions, restrictions
     if (CLASS_TYPES.has(q.object.value)) classUris.add(uri);
     if (PROPERTY_TYPES.has(q.object.value)) propertyUris.add(uri);
     if (DATATYPE_TYPES.has(q.object.value)) datatypeUris.add(uri);
     if (VES_TYPES.has(q.object.value)) vesUris.add(uri);
+    if (q.object.value === `${SKOS}ConceptScheme`) schemeUris.add(uri);
+    if (q.object.value === `${SKOS}Concept`) conceptUris.add(uri);
   }
 
   // Collect all rdf:type values for each URI (for OWL type detection)
@@ -100,47 +438,117 @@ export function extractVocabulary(quads, options = {}) {
   // Helper: format a URI reference with label lookup
   function formatRef(u) {
     const localName = localNameFromUri(u);
-    const label = getValue(quads, u, `${RDFS}label`) || localName;
+    const label = refLabel(u) || localName;
     const isLocal = ns && u.startsWith(ns);
-    return { uri: u, localName: isLocal ? u.slice(ns.length) : localName, label, isLocal };
+    return { uri: u, localName: isLocal ? u.slice(ns.length) : localName, label, isLocal, curie: curieOf(u) };
+  }
+
+  // Helper: format a class reference. Named classes format as formatRef does; blank-node
+  // class expressions become a tree such as { op: 'unionOf', members: [...] }, labelled in
+  // Manchester style ("Person or Organization", "knows some Person").
+  function formatClassExpr(u, seen = new Set()) {
+    if (!index.isBlank(u) || seen.has(u)) return formatRef(u);
+    seen = new Set(seen).add(u);
+
+    for (const [op, joiner] of [['unionOf', ' or '], ['intersectionOf', ' and ']]) {
+      const head = getValue(index, u, `${OWL}${op}`);
+      if (head) {
+        const members = getList(index, head).map(t => formatClassExpr(t.value, seen));
+        return classExpression(op, { members }, members.map(operandLabel).join(joiner));
+      }
+    }
+    const complement = getValue(index, u, `${OWL}complementOf`);
+    if (complement) {
+      const member = formatClassExpr(complement, seen);
+      return classExpression('complementOf', { members: [member] }, `not ${operandLabel(member)}`);
+    }
+    const oneOf = getValue(index, u, `${OWL}oneOf`);
+    if (oneOf) {
+      const members = getList(index, oneOf).map(formatIndividual);
+      return classExpression('oneOf', { members }, `{${members.map(m => m.label).join(', ')}}`);
+    }
+    const onProperty = getValue(index, u, `${OWL}onProperty`);
+    if (onProperty) return formatRestriction(u, onProperty, seen);
+    return formatRef(u);
+  }
+
+  // Helper: an individual or literal value (owl:oneOf members, owl:hasValue fillers)
+  function formatIndividual(term) {
+    if (term.termType === 'Literal') return { uri: '', localName: '', label: term.value, isLocal: false };
+    return formatRef(term.value);
+  }
+
+  // Helper: an owl:Restriction as { op: 'restriction', property, kind, filler, cardinality }.
+  // kind is the OWL restriction predicate, with qualified cardinalities folded into the
+  // unqualified kind plus a filler; constraint is its Manchester keyword ("some", "min 1").
+  function formatRestriction(u, onProperty, seen) {
+    const property = formatRef(onProperty);
+    const classFiller = (p) => {
+      const v = getValue(index, u, p);
+      return v === undefined ? null : formatClassExpr(v, seen);
+    };
+    const restriction = (kind, constraint, filler = null, cardinality = null) => {
+      const label = [property.label, constraint, filler && operandLabel(filler)].filter(Boolean).join(' ');
+      return classExpression('restriction', { property, kind, constraint, filler, cardinality }, label);
+    };
+
+    for (const [kind, keyword] of [['someValuesFrom', 'some'], ['allValuesFrom', 'only']]) {
+      const filler = classFiller(`${OWL}${kind}`);
+      if (filler) return restriction(kind, keyword, filler);
+    }
+    const value = index.match(u, `${OWL}hasValue`)[0];
+    if (value) return restriction('hasValue', 'value', formatIndividual(value.object));
+    if (getValue(index, u, `${OWL}hasSelf`) !== undefined) return restriction('hasSelf', 'Self');
+    for (const [kind, qualified, keyword] of CARDINALITY_KINDS) {
+      const unqualified = getValue(index, u, `${OWL}${kind}`);
+      const count = unqualified ?? getValue(index, u, `${OWL}${qualified}`);
+      if (count === undefined) continue;
+      const filler = unqualified === undefined
+        ? classFiller(`${OWL}onClass`) || classFiller(`${OWL}onDataRange`)
+        : null;
+      return restriction(kind, `${keyword} ${Number(count)}`, filler, Number(count));
+    }
+    return restriction(null, '');
   }
 
   // Build property objects first (needed for inDomainOf/inRangeOf on classes)
   const properties = [...propertyUris].map(uri => {
-    const localName = uri.slice(ns.length);
+    const localName = localNameOf(uri);
     const types = allTypes.get(uri) || new Set();
     const isIFP = types.has(`${OWL}InverseFunctionalProperty`);
     const isFP = types.has(`${OWL}FunctionalProperty`);
 
     // Format domain/range: if URI is in our namespace, use localName link; otherwise full URI
     // Deduplicate URIs (some vocabs declare the same domain/range twice)
-    const domainUris = [...new Set(getValues(quads, uri, `${RDFS}domain`))];
-    const rangeUris = [...new Set(getValues(quads, uri, `${RDFS}range`))];
+    const domainUris = fieldValues(uri, fields.standard.domain);
+    const rangeUris = fieldValues(uri, fields.standard.range);
 
     return {
       uri,
       localName,
-      label: getValue(quads, uri, `${RDFS}label`) || localName,
-      comment: getValue(quads, uri, `${RDFS}comment`) || '',
-      description: getValue(quads, uri, `${DCTERMS}description`) || '',
-      status: getValue(quads, uri, `${VS}term_status`) || '',
-      issued: getValue(quads, uri, `${DCTERMS}issued`) || '',
+      label: field(uri, 'label') || localName,
+      comment: field(uri, 'comment'),
+      description: field(uri, 'description'),
+      status: fieldValue(uri, fields.standard.status),
+      issued: fieldValue(uri, fields.standard.issued),
       domain: domainUris,
       range: rangeUris,
-      subPropertyOf: getValues(quads, uri, `${RDFS}subPropertyOf`),
-      inverseOf: getValue(quads, uri, `${OWL}inverseOf`) || '',
-      rangeIncludes: getValues(quads, uri, `${DCAM}rangeIncludes`),
-      domainIncludes: getValues(quads, uri, `${DCAM}domainIncludes`),
+      subPropertyOf: getValues(index, uri, `${RDFS}subPropertyOf`),
+      inverseOf: getValue(index, uri, `${OWL}inverseOf`) || '',
+      rangeIncludes: fieldValues(uri, fields.standard.rangeIncludes),
+      domainIncludes: fieldValues(uri, fields.standard.domainIncludes),
       domainLocalNames: domainUris.map(u => localNameFromUri(u)),
       rangeLocalNames: rangeUris.map(u => localNameFromUri(u)),
       isInverseFunctionalProperty: isIFP,
       isFunctionalProperty: isFP,
       // Formatted domain/range for templates: each entry has {uri, localName, label, isLocal}
-      domainFormatted: domainUris.map(u => formatRef(u)),
-      rangeFormatted: rangeUris.map(u => formatRef(u)),
+      // Blank-node domains/ranges are class expressions instead (see formatClassExpr)
+      domainFormatted: domainUris.map(u => formatClassExpr(u)),
+      rangeFormatted: rangeUris.map(u => formatClassExpr(u)),
       // Range excluding rdfs:Literal (suppressed by some specgens as uninformative)
-      rangeFormattedNonLiteral: rangeUris.filter(u => u !== `${RDFS}Literal`).map(u => formatRef(u)),
+      rangeFormattedNonLiteral: rangeUris.filter(u => u !== `${RDFS}Literal`).map(u => formatClassExpr(u)),
       termType: 'Property',
+      variants: textVariants(uri),
     };
   });
 
@@ -148,142 +556,480 @@ export function extractVocabulary(quads, options = {}) {
   const domainIndex = new Map(); // classUri -> Set of propertyLocalName
   const rangeIndex = new Map();  // classUri -> Set of propertyLocalName
 
+  // A union domain/range counts towards each of its members
   for (const prop of properties) {
-    for (const d of prop.domain) {
+    for (const d of prop.domainFormatted.flatMap(unionMembers)) {
       if (!domainIndex.has(d)) domainIndex.set(d, new Set());
       domainIndex.get(d).add(prop.localName);
     }
-    for (const r of prop.range) {
+    for (const r of prop.rangeFormatted.flatMap(unionMembers)) {
       if (!rangeIndex.has(r)) rangeIndex.set(r, new Set());
       rangeIndex.get(r).add(prop.localName);
     }
   }
 
   // Build subclass inverse lookup: for each class, which classes have it as superclass
-  const subClassIndex = new Map(); // classUri -> [subclass localNames]
+  const subClassIndex = new Map(); // classUri -> [subclass URIs]
   for (const uri of classUris) {
-    const supers = getValues(quads, uri, `${RDFS}subClassOf`);
+    const supers = getValues(index, uri, `${RDFS}subClassOf`);
     for (const sup of supers) {
       if (!subClassIndex.has(sup)) subClassIndex.set(sup, []);
-      subClassIndex.get(sup).push(uri.slice(ns.length));
+      subClassIndex.get(sup).push(uri);
     }
   }
 
   const classes = [...classUris].map(uri => {
-    const localName = uri.slice(ns.length);
-    const subClassOfUris = getValues(quads, uri, `${RDFS}subClassOf`);
-    const disjointWithUris = getValues(quads, uri, `${OWL}disjointWith`);
+    const localName = localNameOf(uri);
+    const subClassOfUris = getValues(index, uri, `${RDFS}subClassOf`);
+    const disjointWithUris = getValues(index, uri, `${OWL}disjointWith`);
+    const subClassOfFormatted = subClassOfUris.map(u => formatClassExpr(u));
     return {
       uri,
       localName,
-      label: getValue(quads, uri, `${RDFS}label`) || localName,
-      comment: getValue(quads, uri, `${RDFS}comment`) || '',
-      description: getValue(quads, uri, `${DCTERMS}description`) || '',
-      status: getValue(quads, uri, `${VS}term_status`) || '',
-      issued: getValue(quads, uri, `${DCTERMS}issued`) || '',
+      label: field(uri, 'label') || localName,
+      comment: field(uri, 'comment'),
+      description: field(uri, 'description'),
+      status: fieldValue(uri, fields.standard.status),
+      issued: fieldValue(uri, fields.standard.issued),
       subClassOf: subClassOfUris,
-      subClassOfFormatted: subClassOfUris.map(u => formatRef(u)),
+      subClassOfFormatted,
+      // Restriction superclasses: { property, kind, constraint, filler, cardinality, label }
+      restrictions: subClassOfFormatted.flatMap(restrictionsOf),
       disjointWith: disjointWithUris,
-      disjointWithFormatted: disjointWithUris.map(u => formatRef(u)),
-      hasSubClass: (subClassIndex.get(uri) || []).map(ln => {
-        const u = ns + ln;
-        const label = getValue(quads, u, `${RDFS}label`) || ln;
-        return { localName: ln, label };
+      disjointWithFormatted: disjointWithUris.map(u => formatClassExpr(u)),
+      hasSubClass: (subClassIndex.get(uri) || []).map(u => {
+        const ln = localNameOf(u);
+        return { localName: ln, label: field(u, 'label') || ln };
       }),
       inDomainOf: [...(domainIndex.get(uri) || [])],
       inRangeOf: [...(rangeIndex.get(uri) || [])],
-      memberOf: getValue(quads, uri, `${DCAM}memberOf`) || '',
+      memberOf: fieldValue(uri, fields.standard.memberOf),
       termType: 'Class',
+      variants: textVariants(uri),
     };
   });
 
   // Build simple term objects for datatypes and vocabulary encoding schemes
   function buildSimpleTerm(uri, termType) {
-    const localName = uri.slice(ns.length);
+    const localName = localNameOf(uri);
     return {
       uri,
       localName,
-      label: getValue(quads, uri, `${RDFS}label`) || localName,
-      comment: getValue(quads, uri, `${RDFS}comment`) || '',
-      description: getValue(quads, uri, `${DCTERMS}description`) || '',
-      status: getValue(quads, uri, `${VS}term_status`) || '',
-      issued: getValue(quads, uri, `${DCTERMS}issued`) || '',
-      seeAlso: getValues(quads, uri, `${RDFS}seeAlso`),
-      memberOf: getValue(quads, uri, `${DCAM}memberOf`) || '',
+      label: field(uri, 'label') || localName,
+      comment: field(uri, 'comment'),
+      description: field(uri, 'description'),
+      status: fieldValue(uri, fields.standard.status),
+      issued: fieldValue(uri, fields.standard.issued),
+      seeAlso: fieldValues(uri, fields.standard.seeAlso),
+      memberOf: fieldValue(uri, fields.standard.memberOf),
       termType,
+      variants: textVariants(uri),
     };
   }
 
   const datatypes = [...datatypeUris].map(uri => buildSimpleTerm(uri, 'Datatype'));
   const vocabularyEncodingSchemes = [...vesUris].map(uri => buildSimpleTerm(uri, 'Vocabulary Encoding Scheme'));
 
+  // SKOS concepts. Links are taken from both directions, so a concept's broader list also
+  // has concepts that only state skos:narrower to it (and related is symmetric).
+  const linked = (u, predicate, inverse) => [...new Set([
+    ...getValues(index, u, predicate),
+    ...index.withPredicate(inverse, u).map(q => q.subject.value),
+  ])];
+  const conceptLabel = (u) => text(u, `${SKOS}prefLabel`) || refLabel(u) || formatRef(u).localName;
+  const conceptRef = (u) => ({ ...formatRef(u), label: conceptLabel(u) });
+  const broaderOf = (u) => linked(u, `${SKOS}broader`, `${SKOS}narrower`);
+  const narrowerOf = (u) => linked(u, `${SKOS}narrower`, `${SKOS}broader`);
+
+  const concepts = [...conceptUris].map(uri => ({
+    uri,
+    localName: formatRef(uri).localName,
+    label: conceptLabel(uri),
+    prefLabel: text(uri, `${SKOS}prefLabel`) || '',
+    altLabels: getTexts(index, uri, `${SKOS}altLabel`, languages),
+    definition: text(uri, `${SKOS}definition`) || '',
+    scopeNote: text(uri, `${SKOS}scopeNote`) || '',
+    notation: getValue(index, uri, `${SKOS}notation`) || '',
+    broader: broaderOf(uri).map(conceptRef),
+    narrower: narrowerOf(uri).map(conceptRef),
+    related: linked(uri, `${SKOS}related`, `${SKOS}related`).map(conceptRef),
+    inScheme: getValues(index, uri, `${SKOS}inScheme`),
+    topConceptOf: getValues(index, uri, `${SKOS}topConceptOf`),
+    termType: 'Concept',
+    variants: {
+      prefLabel: getTextVariants(index, uri, `${SKOS}prefLabel`),
+      definition: getTextVariants(index, uri, `${SKOS}definition`),
+      scopeNote: getTextVariants(index, uri, `${SKOS}scopeNote`),
+    },
+  }));
+
+  // Concept schemes, each with its concepts nested from the top concepts down (tree).
+  // Members are the concepts stated to be in the scheme plus everything narrower than its
+  // top concepts; a lone scheme without any membership statements gets every concept.
+  const conceptSchemes = [...schemeUris].map(uri => {
+    const topConcepts = linked(uri, `${SKOS}hasTopConcept`, `${SKOS}topConceptOf`);
+    const members = new Set([
+      ...index.withPredicate(`${SKOS}inScheme`, uri).map(q => q.subject.value),
+      ...topConcepts,
+      ...topConcepts.flatMap(u => transitiveClosure(u, narrowerOf)),
+    ]);
+    const schemeConcepts = members.size || schemeUris.size > 1
+      ? concepts.filter(c => members.has(c.uri))
+      : concepts;
+    const { localName } = formatRef(uri);
+    return {
+      uri,
+      localName,
+      label: text(uri, `${SKOS}prefLabel`) || text(uri, `${DCTERMS}title`) || refLabel(uri) || localName,
+      definition: text(uri, `${SKOS}definition`) || text(uri, `${DCTERMS}description`) || text(uri, `${RDFS}comment`) || '',
+      topConcepts: topConcepts.map(conceptRef),
+      concepts: schemeConcepts,
+      tree: buildTree(schemeConcepts, broaderOf),
+      termType: 'Concept Scheme',
+    };
+  });
+
+  // Transitive hierarchies. Superclasses/superproperties come from the vocabulary and its
+  // imports; blank-node superclasses (restrictions, expressions) aren't part of the chain.
+  const classHierarchy = hierarchy(`${RDFS}subClassOf`);
+  const propertyHierarchy = hierarchy(`${RDFS}subPropertyOf`);
+  function hierarchy(predicate) {
+    const parents = new Map(); // uri -> [direct super URIs]
+    const children = new Map(); // uri -> [direct sub URIs]
+    for (const q of [...index.withPredicate(predicate), ...importedIndex.withPredicate(predicate)]) {
+      if (q.subject.termType !== 'NamedNode' || q.object.termType !== 'NamedNode') continue;
+      const [sub, sup] = [q.subject.value, q.object.value];
+      if (!parents.has(sub)) parents.set(sub, []);
+      if (!children.has(sup)) children.set(sup, []);
+      if (!parents.get(sub).includes(sup)) parents.get(sub).push(sup);
+      if (!children.get(sup).includes(sub)) children.get(sup).push(sub);
+    }
+    return {
+      parents: (u) => parents.get(u) || [],
+      ancestors: (u) => transitiveClosure(u, v => parents.get(v) || []),
+      descendants: (u) => transitiveClosure(u, v => children.get(v) || []),
+    };
+  }
+
+  for (const cls of classes) {
+    const ancestors = classHierarchy.ancestors(cls.uri);
+    cls.ancestors = ancestors.map(u => formatRef(u));
+    cls.descendants = classHierarchy.descendants(cls.uri).map(u => formatRef(u));
+    // Properties whose domain is an ancestor, grouped by that ancestor (nearest first)
+    const seenProps = new Set(cls.inDomainOf);
+    cls.inheritedInDomainOf = [];
+    for (const [i, u] of ancestors.entries()) {
+      const props = [...(domainIndex.get(u) || [])].filter(p => !seenProps.has(p));
+      props.forEach(p => seenProps.add(p));
+      if (props.length) cls.inheritedInDomainOf.push({ from: cls.ancestors[i], properties: props });
+    }
+  }
+
+  const subPropertyIndex = new Map(); // propertyUri -> [subproperty URIs]
+  for (const prop of properties) {
+    for (const sup of propertyHierarchy.parents(prop.uri)) {
+      if (!subPropertyIndex.has(sup)) subPropertyIndex.set(sup, []);
+      subPropertyIndex.get(sup).push(prop.uri);
+    }
+  }
+  for (const prop of properties) {
+    prop.ancestors = propertyHierarchy.ancestors(prop.uri).map(u => formatRef(u));
+    prop.descendants = propertyHierarchy.descendants(prop.uri).map(u => formatRef(u));
+    prop.hasSubProperty = (subPropertyIndex.get(prop.uri) || []).map(u => {
+      const ln = localNameOf(u);
+      return { localName: ln, label: field(u, 'label') || ln };
+    });
+  }
+
+  // Class and property outlines: { uri, localName, label, children } nested by direct
+  // super/sub relations within the vocabulary. Terms with several parents appear under each.
+  const classTree = buildTree(classes, classHierarchy.parents);
+  const propertyTree = buildTree(properties, propertyHierarchy.parents);
+
   // Add seeAlso to properties and classes too
   for (const term of [...properties, ...classes]) {
-    term.seeAlso = getValues(quads, term.uri, `${RDFS}seeAlso`);
+    term.seeAlso = fieldValues(term.uri, fields.standard.seeAlso);
+  }
+
+  // Deprecation, normalised: owl:deprecated true or a stated replacement make a term
+  // deprecated; vs:term_status "archaic" is left to templates. vs:moreinfo usually says why.
+  for (const term of [...properties, ...classes, ...datatypes, ...vocabularyEncodingSchemes, ...concepts]) {
+    const replacedBy = [...new Set(REPLACED_BY.flatMap(p => getValues(index, term.uri, p)))];
+    term.replacedBy = replacedBy.map(u => conceptUris.has(u) ? conceptRef(u) : formatRef(u));
+    term.deprecated = TRUE_LITERALS.has(getValue(index, term.uri, `${OWL}deprecated`))
+      || replacedBy.length > 0;
+    term.moreInfo = text(term.uri, `${VS}moreinfo`) || '';
+  }
+
+  // Custom fields declared in options.fields
+  for (const term of [...properties, ...classes, ...datatypes, ...vocabularyEncodingSchemes, ...concepts]) {
+    term.custom = customFields(term.uri);
   }
 
   // Collect external classes referenced in domain/range but not in namespace
-  const externalClasses = new Map(); // uri -> {uri, localName, label}
+  const externalClasses = new Map(); // uri -> {uri, localName, label, comment, curie}
   for (const prop of properties) {
-    for (const u of [...prop.domain, ...prop.range]) {
+    for (const u of [...prop.domainFormatted, ...prop.rangeFormatted].flatMap(namedClasses)) {
       if (ns && !u.startsWith(ns) && !externalClasses.has(u)) {
-        // Find rdfs:label if declared inline in the RDF
-        const label = getValue(quads, u, `${RDFS}label`) || localNameFromUri(u);
-        externalClasses.set(u, { uri: u, localName: localNameFromUri(u), label });
+        // Find rdfs:label if declared inline in the RDF (or in an imported ontology or the registry)
+        const label = refLabel(u) || localNameFromUri(u);
+        externalClasses.set(u, { uri: u, localName: localNameFromUri(u), label, comment: refComment(u), curie: curieOf(u) });
       }
     }
   }
   // Also check subClassOf targets
   for (const cls of classes) {
-    for (const u of cls.subClassOf) {
+    for (const u of cls.subClassOfFormatted.flatMap(namedClasses)) {
       if (ns && !u.startsWith(ns) && !externalClasses.has(u)) {
-        const label = getValue(quads, u, `${RDFS}label`) || localNameFromUri(u);
-        externalClasses.set(u, { uri: u, localName: localNameFromUri(u), label });
+        const label = refLabel(u) || localNameFromUri(u);
+        externalClasses.set(u, { uri: u, localName: localNameFromUri(u), label, comment: refComment(u), curie: curieOf(u) });
       }
     }
   }
 
-  return { classes, properties, datatypes, vocabularyEncodingSchemes, externalClasses: [...externalClasses.values()] };
+  return {
+    classes, properties, datatypes, vocabularyEncodingSchemes,
+    externalClasses: [...externalClasses.values()],
+    classTree, propertyTree,
+    conceptSchemes, concepts,
+  };
 }
 
 /**
- * Load HTML doc fragments for terms (e.g. FOAF's doc/Person.en files).
+ * Read the vocabulary's header: the owl:Ontology resource (or, failing that, the resource
+ * carrying vann:preferredNamespaceUri, a skos:ConceptScheme, or the namespace IRI itself)
+ * and its dcterms/DC elements/vann/OWL annotations. Fields missing from the header are '' or [].
+ * Creators and contributors are { name, uri }: names come from the literal itself or the
+ * agent's foaf:name, schema:name or rdfs:label.
+ * @param {Array} quads
+ * @param {object} [options] - namespace (to find an untyped header) and languages (see extractVocabulary)
+ * @returns {{ontology: string, title: string, description: string, versionIri: string,
+ *   versionInfo: string, creators: Array<{name: string, uri: string}>, contributors: Array<{name: string, uri: string}>,
+ *   license: string, modified: string, prefix: string, namespace: string}}
  */
-export async function loadDocFragments(docDir) {
+export function extractOntologyMetadata(quads, options = {}) {
+  const languages = options.languages || null;
+  const index = new QuadIndex(quads);
+  const text = (u, predicates) => {
+    for (const p of predicates) {
+      const value = getText(index, u, p, languages);
+      if (value) return value;
+    }
+    return '';
+  };
+  const agents = (u, predicates) => predicates.flatMap(p => index.match(u, p)).map(q => {
+    if (q.object.termType === 'Literal') return { name: q.object.value, uri: '' };
+    const name = text(q.object.value, [`${FOAF}name`, `${SCHEMA}name`, `${RDFS}label`]);
+    const uri = q.object.termType === 'NamedNode' ? q.object.value : getValue(index, q.object.value, `${FOAF}homepage`) || '';
+    return { name: name || uri, uri };
+  });
+
+  const ns = options.namespace || '';
+  const candidates = [
+    ...index.withPredicate(`${RDF}type`, `${OWL}Ontology`).map(q => q.subject.value),
+    ...index.withPredicate(`${VANN}preferredNamespaceUri`).map(q => q.subject.value),
+    ...index.withPredicate(`${RDF}type`, `${SKOS}ConceptScheme`).map(q => q.subject.value),
+    ...(ns ? [ns, ns.replace(/[#/]$/, '')].filter(u => index.describes(u)) : []),
+  ];
+  // Several ontologies (e.g. merged with their imports): prefer the one for this namespace
+  const ontology = candidates.find(u => ns && (u === ns || u === ns.replace(/[#/]$/, ''))) || candidates[0] || '';
+
+  return {
+    ontology,
+    title: text(ontology, [`${DCTERMS}title`, `${DC}title`, `${RDFS}label`, `${SKOS}prefLabel`]),
+    description: text(ontology, [`${DCTERMS}description`, `${DC}description`, `${RDFS}comment`, `${SKOS}definition`]),
+    versionIri: getValue(index, ontology, `${OWL}versionIRI`) || '',
+    versionInfo: getValue(index, ontology, `${OWL}versionInfo`) || '',
+    creators: agents(ontology, [`${DCTERMS}creator`, `${DC}creator`]),
+    contributors: agents(ontology, [`${DCTERMS}contributor`, `${DC}contributor`]),
+    license: getValue(index, ontology, `${DCTERMS}license`) || getValue(index, ontology, `${CC}license`)
+      || getValue(index, ontology, `${SCHEMA}license`) || '',
+    modified: getValue(index, ontology, `${DCTERMS}modified`) || '',
+    prefix: getValue(index, ontology, `${VANN}preferredNamespacePrefix`) || '',
+    namespace: getValue(index, ontology, `${VANN}preferredNamespaceUri`) || '',
+  };
+}
+
+// File extensions that look like language tags (Person.en, Person.fr, Person.pt-BR)
+const LANG_TAG = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i;
+
+// ISO 639-1 language codes, the primary subtags a doc fragment extension may start with
+// (besides those of the configured languages), so README.md or style.css aren't fragments
+const LANGUAGE_CODES = new Set(`aa ab ae af ak am an ar as av ay az ba be bg bi bm bn bo br bs ca ce ch co cr
+  cs cu cv cy da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy
+  hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu
+  lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro
+  ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk
+  ur uz ve vi vo wa wo xh yi yo za zh zu`.split(/\s+/));
+
+/**
+ * Load HTML doc fragments for terms in every language (e.g. FOAF's doc/Person.en, doc/Person.fr).
+ * A file's extension must be a language tag whose primary subtag is an ISO 639-1 code or
+ * that of one of `languages` (e.g. ['fil', 'en']); other files are ignored.
+ * Returns a Map of term name -> { [languageTag]: html }.
+ */
+export async function loadDocFragmentVariants(docDir, languages = []) {
+  const primary = (tag) => tag.split('-')[0].toLowerCase();
+  const known = new Set([...LANGUAGE_CODES, ...(languages || []).filter(Boolean).map(primary)]);
   const files = await readdir(docDir);
-  const fragments = new Map();
+  const variants = new Map();
   for (const file of files) {
-    if (!file.endsWith('.en')) continue;
-    const termName = file.slice(0, -3); // strip .en
+    const dot = file.lastIndexOf('.');
+    const lang = file.slice(dot + 1);
+    if (dot <= 0 || !LANG_TAG.test(lang) || !known.has(primary(lang))) continue;
+    const termName = file.slice(0, dot); // strip .<lang>
     const content = await readFile(path.join(docDir, file), 'utf-8');
-    fragments.set(termName, content);
+    if (!variants.has(termName)) variants.set(termName, {});
+    variants.get(termName)[lang] = content;
+  }
+  return variants;
+}
+
+/**
+ * Load HTML doc fragments for terms (e.g. FOAF's doc/Person.en files), taking each term's
+ * fragment in the first available language of the fallback chain.
+ */
+export async function loadDocFragments(docDir, languages = ['en']) {
+  return pickDocFragments(await loadDocFragmentVariants(docDir, languages), languages);
+}
+
+function pickDocFragments(variants, languages) {
+  const fragments = new Map();
+  for (const [termName, byLang] of variants) {
+    for (const lang of languages) {
+      const tag = lang && Object.keys(byLang).find(t => langMatches({ language: t }, lang));
+      if (tag) {
+        fragments.set(termName, byLang[tag]);
+        break;
+      }
+    }
   }
   return fragments;
 }
 
 /**
  * Generate an HTML specification from RDF input and a template.
+ * rdfPath may be a single file, a glob pattern, or an array of either; all matching
+ * files are merged into one vocabulary. `graphs` restricts TriG/N-Quads input to the
+ * given named graphs ('default' for the default graph). With `lenient`, bad RDF
+ * statements are skipped and reported to `onWarning` instead of failing the run.
+ * `catalog` names a local catalog file (see loadCatalog) used to load owl:imports,
+ * whose labels and comments then describe external terms. Terms described nowhere else
+ * are looked up in the label registry, extended with the RDF files in `labelFiles`
+ * (see loadLabelRegistry), except when replicating `ancientBugs`. `fields` maps term
+ * fields to predicates and declares custom fields (see extractVocabulary). `languages` is a fallback
+ * chain such as ['fr', 'en', ''] for text fields and doc fragments (see extractVocabulary).
+ * Templates get the ontology header (see extractOntologyMetadata) as top-level variables;
+ * `vocabMeta` entries override it. `namespace` and `prefix` override the detected ones.
+ * `linkTargets` maps doc fragment prefixes to link targets, '{name}' standing for the
+ * term (e.g. { dcat: 'https://www.w3.org/TR/vocab-dcat-3/#Property:{name}' }), over the
+ * defaults described at linkifyDocFragment; `linkifyBareNames` also links prefixed names
+ * outside <code>. The vocabulary's own terms link to the in-page anchor `termAnchor`, e.g.
+ * 'term_{name}', by default the id the template gives term sections (id="term_{{ cls.localName }}").
+ * With `previousRdfPath` (the RDF of the previous release), templates also get `changes`
+ * (see compareVocabularies) and `changesHtml`, a "Changes since previous version" section.
+ * With `onLinkProblem`, the rendered spec's internal links are checked (see checkLinks)
+ * and each problem is passed to it.
+ * Templates are rendered with the view model that exportSpecModel returns, plus `diagram`:
+ * an SVG class diagram (see buildClassDiagram), or '' if there are no classes.
+ * @throws {SpecgenParseError} If an input file is not valid RDF
  */
 export async function generateSpec(opts) {
-  const { rdfPath, templatePath, docDir, vocabMeta = {}, ancientBugs = null, extraRdf = [], fakePyDicts = false } = opts;
+  const { templatePath, onLinkProblem } = opts;
+  const template = await readFile(templatePath, 'utf-8');
+  const termAnchor = opts.termAnchor ?? termAnchorOf(template) ?? undefined;
+  const view = await buildSpecModel({ ...opts, termAnchor });
+  // The class diagram is only laid out for templates that use it
+  if (/\bdiagram\b/.test(template)) view.diagram = diagramToSvg(buildClassDiagram(view));
+  const html = nunjucksEnv.renderString(template, view);
+  if (onLinkProblem) {
+    for (const problem of checkLinks(html, { terms: view.allTerms, termAnchor })) onLinkProblem(problem);
+  }
+  return html;
+}
+
+// Version of the exported model's layout (see schema/spec-model.schema.json); bumped when
+// fields are removed or change meaning, not when fields are added
+export const MODEL_SCHEMA_VERSION = 1;
 
-  const quads = await parseRdf(rdfPath);
+/**
+ * The view model generateSpec renders templates with, as plain JSON-ready data for tools
+ * that don't want HTML: { schemaVersion, ...view }. It takes generateSpec's options (minus
+ * `templatePath` and `onLinkProblem`) and is described by schema/spec-model.schema.json.
+ * @throws {SpecgenParseError} If an input file is not valid RDF
+ */
+export async function exportSpecModel(opts) {
+  const view = await buildSpecModel(opts);
+  return JSON.parse(JSON.stringify({ schemaVersion: MODEL_SCHEMA_VERSION, ...view }));
+}
+
+// Helper: parse, extract, sort and decorate the vocabulary into the template view model
+async function buildSpecModel(opts) {
+  const { rdfPath, docDir, vocabMeta: metaOverrides = {}, ancientBugs = null, extraRdf = [], fakePyDicts = false, jsonldContexts = {}, inputFormat, graphs = [], lenient = false, onWarning, catalog: catalogPath, languages = null, namespace: namespaceOverride, prefix: prefixOverride, labelFiles = [], fields, linkTargets = {}, linkifyBareNames = false, termAnchor = 'term_{name}', previousRdfPath } = opts;
+  const parseOptions = { jsonldContexts, lenient, onWarning };
+  // Replicating the old specgen keeps external terms as it showed them: no registry labels or CURIEs
+  const registry = ancientBugs ? { quads: [], prefixes: {} } : await loadLabelRegistry(labelFiles, parseOptions);
+
+  // owl:imports are resolved only through a local catalog, never fetched
+  const catalog = catalogPath ? await loadCatalog(catalogPath) : null;
+  const loadImports = async (importingQuads) => {
+    if (!catalog) return { quads: [], imports: [] };
+    const resolved = await resolveImports(importingQuads, catalog, parseOptions);
+    for (const iri of resolved.missing) {
+      onWarning?.(new Error(`owl:imports <${iri}> has no entry in the catalog; skipping it`));
+    }
+    return resolved;
+  };
+
+  const { quads: allQuads, files: rdfFiles, subjectSources } = await parseRdfSources(rdfPath, inputFormat, parseOptions);
+  const { quads, subjectGraphs } = selectGraphs(allQuads, graphs);
 
   // Detect namespace from the RDF file
-  const namespace = detectNamespace(quads);
-  const vocab = extractVocabulary(quads, { namespace });
+  const namespace = namespaceOverride || detectNamespace(quads, onWarning);
+  // Header metadata (title, version, creators, ...) from the ontology, overridden by the caller's
+  const vocabMeta = { ...extractOntologyMetadata(quads, { namespace, languages }), ...metaOverrides };
+  if (prefixOverride) vocabMeta.prefix = prefixOverride;
+  // Detect prefix from namespace: for http://xmlns.com/foaf/0.1/ -> "foaf"
+  const vocabPrefix = vocabMeta.prefix || detectPrefix(namespace, rdfFiles.map(f => f.content), onWarning);
+  const { quads: importedQuads, imports } = await loadImports(quads);
+  const vocab = extractVocabulary(quads, {
+    namespace, importedQuads, languages, fields,
+    labelQuads: registry.quads,
+    prefixes: vocabPrefix ? { ...registry.prefixes, [namespace]: vocabPrefix } : registry.prefixes,
+  });
+  attachProvenance(vocab, subjectSources, subjectGraphs);
+
+  // Changes since a previous version of the vocabulary, for a changelog section
+  let changes = null;
+  if (previousRdfPath) {
+    // Read like the current version, so both sides compare the same selection of statements
+    const { quads: previousQuads } = selectGraphs((await parseRdfSources(previousRdfPath, inputFormat, parseOptions)).quads, graphs);
+    const previousNamespace = namespaceOverride || detectNamespace(previousQuads, onWarning);
+    const { quads: previousImported } = await loadImports(previousQuads);
+    const previousVocab = extractVocabulary(previousQuads, {
+      namespace: previousNamespace, importedQuads: previousImported, languages, fields, labelQuads: registry.quads, prefixes: registry.prefixes,
+    });
+    changes = {
+      oldVersion: extractOntologyMetadata(previousQuads, { namespace: previousNamespace }).versionInfo || '',
+      newVersion: vocabMeta.versionInfo || '',
+      ...compareVocabularies(previousVocab, vocab, { prefix: vocabPrefix }),
+    };
+  }
 
-  // Load doc fragments if a directory is provided
-  let fragments = new Map();
+  // Load doc fragments if a directory is provided. Fragments are files, not literals,
+  // so there is no untagged variant: the chain's '' entries don't apply and English is the default.
+  let fragmentVariants = new Map();
   if (docDir) {
-    fragments = await loadDocFragments(docDir);
+    fragmentVariants = await loadDocFragmentVariants(docDir, languages);
   }
+  const fragments = pickDocFragments(fragmentVariants, languages ? languages.filter(Boolean) : ['en']);
 
-  // Sort by status (stable > testing > unstable > archaic), then alphabetically within each group
+  // Sort by status (stable > testing > unstable > archaic), then alphabetically within each group.
+  // Deprecated terms sort with the archaic ones whatever their status.
   const statusOrder = { stable: 0, testing: 1, unstable: 2, archaic: 3, '': 4 };
   const statusSort = (a, b) => {
-    const sa = statusOrder[a.status] ?? 4;
-    const sb = statusOrder[b.status] ?? 4;
+    const sa = a.deprecated ? statusOrder.archaic : statusOrder[a.status] ?? 4;
+    const sb = b.deprecated ? statusOrder.archaic : statusOrder[b.status] ?? 4;
     if (sa !== sb) return sa - sb;
     return a.localName.localeCompare(b.localName);
   };
@@ -300,34 +1046,67 @@ export async function generateSpec(opts) {
     applyPy2Ordering(vocab, quads, namespace);
   }
 
+  // Parse extra RDF files (e.g. dc-elements, dcmitype, dcam)
+  const extraVocabs = {};
+  for (const { name, path: rdfFilePath } of extraRdf) {
+    const { quads: extraDataset, files: extraFiles, subjectSources: extraSources } = await parseRdfSources(rdfFilePath, undefined, parseOptions);
+    const { quads: extraQuads, subjectGraphs: extraGraphs } = selectGraphs(extraDataset);
+    const extraNs = detectNamespace(extraQuads, onWarning);
+    const { quads: extraImported } = await loadImports(extraQuads);
+    const extraVocab = extractVocabulary(extraQuads, {
+      namespace: extraNs, importedQuads: extraImported, languages, fields,
+      labelQuads: registry.quads, prefixes: registry.prefixes,
+    });
+    attachProvenance(extraVocab, extraSources, extraGraphs);
+    // Sort all term types alphabetically
+    const alphaSort = (a, b) => a.localName < b.localName ? -1 : a.localName > b.localName ? 1 : 0;
+    extraVocab.classes.sort(alphaSort);
+    extraVocab.properties.sort(alphaSort);
+    extraVocab.datatypes.sort(alphaSort);
+    extraVocab.vocabularyEncodingSchemes.sort(alphaSort);
+    const meta = extractOntologyMetadata(extraQuads, { namespace: extraNs, languages });
+    const extraPrefix = meta.prefix || detectPrefix(extraNs, extraFiles.map(f => f.content), onWarning);
+    extraVocabs[name] = { ...extraVocab, namespace: extraNs, prefix: extraPrefix, meta };
+  }
+
   // Attach doc fragments to classes and properties, with internal link post-processing
   const allLocalNames = new Set([
     ...vocab.classes.map(c => c.localName),
     ...vocab.properties.map(p => p.localName),
   ]);
-  // Detect prefix from namespace: for http://xmlns.com/foaf/0.1/ -> "foaf"
-  const vocabPrefix = vocabMeta.prefix || detectPrefix(namespace);
   // Build case-insensitive lookup for doc fragments (e.g. givenname -> givenName.en)
   const fragLowerMap = new Map();
   for (const [k, v] of fragments) fragLowerMap.set(k.toLowerCase(), v);
+  const variantLowerMap = new Map();
+  for (const [k, v] of fragmentVariants) variantLowerMap.set(k.toLowerCase(), v);
 
+  // Where <code>prefix:Term</code> in doc fragments links to: well-known prefixes to absolute
+  // URIs, extra vocabularies to their sections (#<name>-<Term>) and the vocabulary's own
+  // terms to their in-page anchors. Replicating the old specgen keeps only the last.
   const linkifyAll = ancientBugs?.brokenLinks?.linkifyUnknownTerms || false;
-  for (const term of [...vocab.classes, ...vocab.properties]) {
-    let frag = fragments.get(term.localName) || fragLowerMap.get(term.localName.toLowerCase()) || '';
-    if (frag && vocabPrefix) {
-      frag = linkifyDocFragment(frag, allLocalNames, vocabPrefix, linkifyAll);
+  const targets = new Map(); // prefix -> { href(name) -> string|null, text(name) }
+  if (!ancientBugs) {
+    for (const [ns, prefix] of Object.entries(registry.prefixes)) {
+      if (!targets.has(prefix)) targets.set(prefix, { href: name => ns + name, text: name => `${prefix}:${name}` });
+    }
+    for (const [name, extra] of Object.entries(extraVocabs)) {
+      if (!extra.prefix) continue;
+      const extraNames = new Set([...extra.classes, ...extra.properties, ...extra.datatypes, ...extra.vocabularyEncodingSchemes].map(t => t.localName));
+      targets.set(extra.prefix, { href: term => extraNames.has(term) ? `#${name}-${term}` : null, text: term => `${extra.prefix}:${term}` });
     }
-    term.docFragment = frag;
   }
-
-  // Load the template
-  const template = await readFile(templatePath, 'utf-8');
-
-  // Load raw RDF content for embedding (if needed by template)
-  let rdfContent = '';
-  try {
-    rdfContent = await readFile(rdfPath, 'utf-8');
-  } catch (e) { /* ignore */ }
+  if (vocabPrefix) {
+    targets.set(vocabPrefix, { href: name => allLocalNames.has(name) || linkifyAll ? `#${termAnchor.replaceAll('{name}', name)}` : null, text: name => name });
+  }
+  for (const [prefix, target] of Object.entries(linkTargets)) {
+    targets.set(prefix, { href: name => target.replaceAll('{name}', name), text: name => `${prefix}:${name}` });
+  }
+  const linkify = (frag) => frag ? linkifyDocFragment(frag, targets, linkifyBareNames) : frag;
+  for (const term of [...vocab.classes, ...vocab.properties]) {
+    term.docFragment = linkify(fragments.get(term.localName) || fragLowerMap.get(term.localName.toLowerCase()) || '');
+    const byLang = fragmentVariants.get(term.localName) || variantLowerMap.get(term.localName.toLowerCase()) || {};
+    term.variants.docFragment = Object.fromEntries(Object.entries(byLang).map(([lang, frag]) => [lang, linkify(frag)]));
+  }
 
   // Sort additional term types
   const datatypes = vocab.datatypes || [];
@@ -344,6 +1123,8 @@ export async function generateSpec(opts) {
   const alphaProperties = [...vocab.properties].sort((a, b) => a.localName < b.localName ? -1 : a.localName > b.localName ? 1 : 0);
   const alphaDatatypes = [...datatypes].sort((a, b) => a.localName < b.localName ? -1 : a.localName > b.localName ? 1 : 0);
   const alphaVes = [...vocabularyEncodingSchemes].sort((a, b) => a.localName < b.localName ? -1 : a.localName > b.localName ? 1 : 0);
+  // Concepts are listed by their (preferred) label rather than their URI
+  const alphaConcepts = [...vocab.concepts].sort((a, b) => a.label.localeCompare(b.label));
 
   // Build the "empty placeholder" lines that the old specgen emitted between
   // the status row and the first section row.
@@ -368,24 +1149,24 @@ export async function generateSpec(opts) {
     cls.showIsDefinedBy = !skipIsDefinedBy.has(cls.localName);
   }
 
-  // Parse extra RDF files (e.g. dc-elements, dcmitype, dcam)
-  const extraVocabs = {};
-  for (const { name, path: rdfFilePath } of extraRdf) {
-    const extraQuads = await parseRdf(rdfFilePath);
-    const extraNs = detectNamespace(extraQuads);
-    const extraVocab = extractVocabulary(extraQuads, { namespace: extraNs });
-    // Sort all term types alphabetically
-    const alphaSort = (a, b) => a.localName < b.localName ? -1 : a.localName > b.localName ? 1 : 0;
-    extraVocab.classes.sort(alphaSort);
-    extraVocab.properties.sort(alphaSort);
-    extraVocab.datatypes.sort(alphaSort);
-    extraVocab.vocabularyEncodingSchemes.sort(alphaSort);
-    extraVocabs[name] = { ...extraVocab, namespace: extraNs };
+  // Raw RDF content for embedding (if needed by template). Merged inputs may mix
+  // formats, so they are embedded as N-Quads of the merged dataset instead.
+  const rdfContent = rdfFiles.length === 1
+    ? rdfFiles[0].content
+    : new N3Writer({ format: 'N-Quads' }).quadsToString(allQuads);
+
+  // Every language any term is available in, for language switchers
+  const availableLanguages = new Set();
+  for (const term of [...allTerms, ...vocab.concepts]) {
+    for (const byLang of Object.values(term.variants)) {
+      for (const lang of Object.keys(byLang)) if (lang) availableLanguages.add(lang);
+    }
   }
 
   const view = {
     ...vocabMeta,
     title: vocabMeta.title || 'Vocabulary Specification',
+    prefix: vocabPrefix,
     classes: vocab.classes,
     properties: vocab.properties,
     datatypes,
@@ -395,46 +1176,137 @@ export async function generateSpec(opts) {
     alphaDatatypes,
     alphaVes,
     externalClasses: vocab.externalClasses || [],
+    classTree: vocab.classTree,
+    propertyTree: vocab.propertyTree,
+    conceptSchemes: vocab.conceptSchemes,
+    concepts: vocab.concepts,
+    alphaConcepts,
     sections,
     allTerms,
     rdfContent,
+    rdfSources: rdfFiles.map(f => f.path),
+    imports,
+    languages: languages || [],
+    availableLanguages: [...availableLanguages].sort(),
     namespace,
     extraVocabs,
+    ...(changes && { changes, changesHtml: formatDiffHtml(changes) }),
   };
 
-  return nunjucksEnv.renderString(template, view);
+  return view;
 }
 
 /**
- * Post-process doc fragment HTML: replace <code>prefix:TermName</code> with linked version.
+ * Record where each term came from, for templates: term.sourceFile is the input file,
+ * term.graph the declaring named graph ('' for the default graph) and term.graphs every
+ * graph that describes the term.
  */
-function linkifyDocFragment(html, localNames, prefix, linkifyAll = false) {
-  // Match <code>foaf:SomeTerm</code> and replace with <code><a href='#term_SomeTerm'>SomeTerm</a></code>
-  // Uses single quotes and bare term name (no prefix) to match the live spec format.
-  // When linkifyAll is true (ancient bugs mode), linkify even unknown terms — replicating
-  // the old specgen's behavior that produced broken anchors like #term_skype for foaf:skype.
-  return html.replace(
-    new RegExp(`<code>${prefix}:(\\w+)</code>`, 'g'),
-    (match, termName) => {
-      if (localNames.has(termName) || linkifyAll) {
-        return `<code><a href='#term_${termName}'>${termName}</a></code>`;
-      }
-      return match;
+function attachProvenance(vocab, subjectSources, subjectGraphs) {
+  for (const term of [...vocab.classes, ...vocab.properties, ...vocab.datatypes, ...vocab.vocabularyEncodingSchemes, ...vocab.concepts]) {
+    term.sourceFile = subjectSources.get(term.uri) || '';
+    term.graphs = subjectGraphs.get(term.uri) || [];
+    term.graph = term.graphs[0] || '';
+  }
+}
+
+// Helper: the id pattern a template gives term sections, e.g. 'term_{name}' for
+// id="term_{{ cls.localName }}", or null if it has none
+function termAnchorOf(template) {
+  const match = template.match(/\bid="([\w-]*)\{\{\s*\w+\.localName\s*\}\}"/);
+  return match ? `${match[1]}{name}` : null;
+}
+
+/**
+ * Post-process doc fragment HTML: link <code>prefix:TermName</code> through `targets`, a map
+ * of prefix -> { href(name), text(name) } where href returns null to leave a name alone.
+ * generateSpec links the vocabulary's own terms as <code><a href='#term_SomeTerm'>SomeTerm</a></code>,
+ * or whatever in-page anchor the template uses
+ * (single quotes and bare term name, to match the live spec format), extra vocabularies'
+ * terms to #<name>-<Term> and other well-known prefixes to absolute URIs.
+ * In ancient bugs mode the own prefix links even unknown terms, replicating the old
+ * specgen's broken anchors like #term_skype for foaf:skype.
+ * With bareNames, prefixed names in text outside <a> and <code> are linked too.
+ */
+function linkifyDocFragment(html, targets, bareNames = false) {
+  if (!targets.size) return html;
+  const prefixes = [...targets.keys()].map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  html = html.replace(
+    new RegExp(`<code>(${prefixes}):(\\w+)</code>`, 'g'),
+    (match, prefix, termName) => {
+      const { href, text } = targets.get(prefix);
+      const target = href(termName);
+      return target === null ? match : `<code><a href='${target}'>${text(termName)}</a></code>`;
     }
   );
+  if (!bareNames) return html;
+
+  const bare = new RegExp(`(?<![\\w.:/#-])(${prefixes}):(\\w+)`, 'g');
+  let skip = 0; // depth of <a> and <code> elements
+  return html.split(/(<[^>]*>)/).map(part => {
+    if (part.startsWith('<')) {
+      if (/^<(a|code)\b/i.test(part)) skip++;
+      else if (/^<\/(a|code)\s*>/i.test(part)) skip = Math.max(0, skip - 1);
+      return part;
+    }
+    if (skip) return part;
+    return part.replace(bare, (match, prefix, termName) => {
+      const target = targets.get(prefix).href(termName);
+      return target === null ? match : `<a href='${target}'>${match}</a>`;
+    });
+  }).join('');
 }
 
+// Prefixes for well-known namespaces, preferred over whatever a file happens to declare
+const KNOWN_PREFIXES = {
+  'http://xmlns.com/foaf/0.1/': 'foaf',
+  'http://purl.org/dc/terms/': 'dcterms',
+  'http://purl.org/dc/elements/1.1/': 'dc',
+  'http://www.w3.org/1999/02/22-rdf-syntax-ns#': 'rdf',
+  'http://www.w3.org/2000/01/rdf-schema#': 'rdfs',
+  'http://www.w3.org/2002/07/owl#': 'owl',
+  'http://www.w3.org/2001/XMLSchema#': 'xsd',
+  'http://www.w3.org/2004/02/skos/core#': 'skos',
+  'http://schema.org/': 'schema',
+  'http://www.w3.org/ns/dcat#': 'dcat',
+  'http://www.w3.org/ns/prov#': 'prov',
+  [VS]: 'vs',
+  [DCAM]: 'dcam',
+  [VANN]: 'vann',
+};
+
+// Prefix declarations in RDF source text: Turtle/SPARQL @prefix/PREFIX, XML xmlns:, JSON-LD contexts
+const PREFIX_DECLARATIONS = [
+  /@?prefix\s+([A-Za-z][\w.-]*)\s*:\s*<([^>]*)>/gi,
+  /xmlns:([A-Za-z][\w.-]*)\s*=\s*["']([^"']*)["']/g,
+  /"([A-Za-z][\w.-]*)"\s*:\s*"([^"]*[#/])"/g,
+];
+
 /**
- * Detect a short prefix from a namespace URI.
+ * Detect a short prefix for a namespace URI: a well-known prefix, else the prefix the
+ * source files declare for it, else the last non-version path segment.
  * E.g. http://xmlns.com/foaf/0.1/ -> "foaf", http://purl.org/dc/terms/ -> "dcterms"
+ * Conflicting declarations are reported to onWarning.
+ * @param {string} namespace
+ * @param {string[]} [sources] - RDF source texts to look for prefix declarations in
+ * @param {function(Error)} [onWarning]
  */
-function detectPrefix(namespace) {
-  const known = {
-    'http://xmlns.com/foaf/0.1/': 'foaf',
-    'http://purl.org/dc/terms/': 'dcterms',
-    'http://purl.org/dc/elements/1.1/': 'dc',
-  };
-  if (known[namespace]) return known[namespace];
+export function detectPrefix(namespace, sources = [], onWarning) {
+  if (KNOWN_PREFIXES[namespace]) return KNOWN_PREFIXES[namespace];
+  const declared = new Set();
+  for (const source of sources) {
+    for (const pattern of PREFIX_DECLARATIONS) {
+      for (const [, prefix, iri] of source.matchAll(pattern)) {
+        if (iri === namespace) declared.add(prefix);
+      }
+    }
+  }
+  if (declared.size) {
+    const [prefix, ...others] = declared;
+    if (others.length) {
+      onWarning?.(new Error(`Prefix is ambiguous: <${namespace}> is declared as ${[...declared].join(', ')}; using ${prefix} (set it with --prefix)`));
+    }
+    return prefix;
+  }
   // Heuristic: take last non-version path segment
   const parts = namespace.replace(/[/#]$/, '').split('/');
   for (let i = parts.length - 1; i >= 0; i--) {
@@ -716,21 +1588,57 @@ export function applyPy2Ordering(vocab, quads, ns, bits = 64) {
 }
 
 /**
- * Detect the primary namespace from quads by finding the most common rdfs:isDefinedBy target.
+ * Detect the vocabulary's namespace. Sources are tried in turn, stopping at the first that
+ * has any candidates: vann:preferredNamespaceUri, the most common rdfs:isDefinedBy target,
+ * the owl:Ontology IRI, and the most common stem of the URIs of typed subjects.
+ * isDefinedBy and ontology IRIs written without a trailing '#' or '/' take the separator
+ * the terms use. A tie within the deciding source is reported to onWarning.
  */
-function detectNamespace(quads) {
-  const counts = new Map();
+export function detectNamespace(quads, onWarning) {
+  const vann = new Map();
+  const definedBy = new Map();
+  const ontologies = new Map();
+  const termUris = new Set();
+  const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
   for (const q of quads) {
-    if (q.predicate.value === `${RDFS}isDefinedBy`) {
-      const ns = q.object.value;
-      counts.set(ns, (counts.get(ns) || 0) + 1);
+    const p = q.predicate.value;
+    if (p === `${VANN}preferredNamespaceUri`) count(vann, q.object.value);
+    else if (p === `${RDFS}isDefinedBy`) count(definedBy, q.object.value);
+    else if (p === `${RDF}type` && q.subject.termType === 'NamedNode') {
+      if (q.object.value === `${OWL}Ontology`) count(ontologies, q.subject.value);
+      else termUris.add(q.subject.value);
     }
   }
-  if (counts.size === 0) return '';
-  let best = '';
-  let bestCount = 0;
-  for (const [ns, count] of counts) {
-    if (count > bestCount) { best = ns; bestCount = count; }
+  const stems = new Map();
+  for (const uri of termUris) {
+    const stem = uri.slice(0, Math.max(uri.lastIndexOf('#'), uri.lastIndexOf('/')) + 1);
+    if (stem) count(stems, stem);
   }
-  return best;
+
+  // Helper: a namespace IRI with the separator its terms use
+  const withSeparator = (iri) => {
+    if (/[#/]$/.test(iri)) return iri;
+    const terms = [...termUris];
+    return [`${iri}#`, `${iri}/`].find(ns => terms.some(u => u.startsWith(ns))) || iri;
+  };
+
+  const sources = [
+    ['vann:preferredNamespaceUri', vann],
+    ['rdfs:isDefinedBy', definedBy],
+    ['owl:Ontology', ontologies],
+    ['term URIs', stems],
+  ];
+  for (const [source, counts] of sources) {
+    if (!counts.size) continue;
+    const merged = new Map();
+    for (const [iri, n] of counts) merged.set(withSeparator(iri), (merged.get(withSeparator(iri)) || 0) + n);
+    // Stable sort: the first-seen candidate wins a tie
+    const ranked = [...merged].sort((a, b) => b[1] - a[1]);
+    if (ranked.length > 1 && ranked[1][1] === ranked[0][1]) {
+      const tied = ranked.filter(([, n]) => n === ranked[0][1]).map(([iri]) => `<${iri}>`);
+      onWarning?.(new Error(`Namespace is ambiguous: ${source} points equally at ${tied.join(', ')}; using ${tied[0]} (set it with --namespace)`));
+    }
+    return ranked[0][0];
+  }
+  return '';
 }
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { loadCatalog, resolveImports } from '../src/catalog.js';
+import { parseRdf } from '../src/rdf-parser.js';
+import path from 'path';
+
+const IMPORTS_DIR = path.resolve('test/fixtures/imports');
+const XML_CATALOG = path.join(IMPORTS_DIR, 'catalog-v001.xml');
+const JSON_CATALOG = path.join(IMPORTS_DIR, 'catalog.json');
+const APP_TTL = path.join(IMPORTS_DIR, 'app.ttl');
+
+describe('Catalog', () => {
+  it('should resolve uri entries from an OASIS XML catalog', async () => {
+    const catalog = await loadCatalog(XML_CATALOG);
+    expect(catalog.resolve('http://example.org/base')).toBe(path.join(IMPORTS_DIR, 'base.ttl'));
+  });
+
+  it('should match IRIs with or without a trailing separator', async () => {
+    const catalog = await loadCatalog(XML_CATALOG);
+    expect(catalog.resolve('http://example.org/core')).toBe(path.join(IMPORTS_DIR, 'core.ttl'));
+    expect(catalog.resolve('http://example.org/base#')).toBe(path.join(IMPORTS_DIR, 'base.ttl'));
+  });
+
+  it('should apply rewriteURI prefixes', async () => {
+    const catalog = await loadCatalog(XML_CATALOG);
+    expect(catalog.resolve('http://example.org/mirror/geo.ttl')).toBe(path.join(IMPORTS_DIR, 'mirror/geo.ttl'));
+  });
+
+  it('should load a JSON catalog', async () => {
+    const catalog = await loadCatalog(JSON_CATALOG);
+    expect(catalog.resolve('http://example.org/core')).toBe(path.join(IMPORTS_DIR, 'core.ttl'));
+    expect(catalog.resolve('http://example.org/elsewhere')).toBeNull();
+  });
+});
+
+describe('owl:imports resolution', () => {
+  it('should load imports transitively and report the ones not in the catalog', async () => {
+    const catalog = await loadCatalog(JSON_CATALOG);
+    const { imports, missing, quads } = await resolveImports(await parseRdf(APP_TTL), catalog);
+    expect(imports.map(i => i.iri)).toEqual(['http://example.org/base', 'http://example.org/core']);
+    expect(missing).toEqual(['http://example.org/not-in-catalog']);
+    expect(quads.some(q => q.subject.value === 'http://example.org/base/Agent')).toBe(true);
+  });
+
+  it('should not load the importing ontology again when imports are cyclic', async () => {
+    // base imports core, which imports base again
+    const catalog = await loadCatalog(JSON_CATALOG);
+    const { imports } = await resolveImports(await parseRdf(path.join(IMPORTS_DIR, 'base.ttl')), catalog);
+    expect(imports.map(i => i.iri)).toEqual(['http://example.org/core']);
+  });
+});
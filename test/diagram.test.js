@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { buildClassDiagram, diagramToDot, diagramToSvg } from '../src/diagram.js';
+import { parseRdf } from '../src/rdf-parser.js';
+import { extractVocabulary, generateSpec } from '../src/spec-generator.js';
+import path from 'path';
+
+const DIAGRAM_DIR = path.resolve('test/fixtures/diagram');
+const NS = 'http://example.org/diagram/';
+
+async function diagramOf(file = 'vocab.ttl') {
+  const quads = await parseRdf(path.join(DIAGRAM_DIR, file));
+  return buildClassDiagram(extractVocabulary(quads, { namespace: NS }));
+}
+
+describe('Class diagram', () => {
+  it('should have a node per class and styled nodes for external classes', async () => {
+    const { nodes } = await diagramOf();
+    expect(nodes).toEqual([
+      { id: `${NS}Agent`, label: 'Agent', external: false },
+      { id: `${NS}Person`, label: 'Person', external: false },
+      { id: `${NS}Organization`, label: 'Organization', external: false },
+      { id: `${NS}Document`, label: 'Document', external: false },
+      { id: 'http://schema.org/CreativeWork', label: 'CreativeWork', external: true },
+    ]);
+  });
+
+  it('should draw subclass, property, disjointness and inverse edges', async () => {
+    const { edges } = await diagramOf();
+    const name = (uri) => uri.replace(NS, '');
+    const summary = edges.map(e => `${name(e.from)} ${e.kind} ${name(e.to)}${e.label ? ` "${e.label}"` : ''}${e.inverse ? ' both' : ''}`);
+    expect(summary.sort()).toEqual([
+      'Document property Agent "maker"',
+      'Document subClassOf http://schema.org/CreativeWork',
+      'Organization subClassOf Agent',
+      'Person disjointWith Organization "disjoint"',
+      'Person property Organization "memberOf / member" both',
+      'Person property Person "knows"',
+      'Person subClassOf Agent',
+    ]);
+    // Datatype properties have no edge
+    expect(edges.some(e => e.label === 'name')).toBe(false);
+  });
+
+  it('should write Graphviz DOT', async () => {
+    const dot = diagramToDot(await diagramOf(), { title: 'ex' });
+    expect(dot).toMatch(/^digraph "ex" \{\n  rankdir=BT;/);
+    expect(dot).toContain('  n4 [label="CreativeWork", tooltip="http://schema.org/CreativeWork", style=dashed, color=gray50, fontcolor=gray40];');
+    expect(dot).toContain('  n1 -> n0 [arrowhead=empty];');
+    expect(dot).toContain('  n1 -> n2 [label="memberOf / member", arrowhead=vee, dir=both, arrowtail=vee, constraint=false];');
+    expect(dot).toContain('  n1 -> n2 [label="disjoint", dir=none, style=dashed, color=red, fontcolor=red, constraint=false];');
+    expect(diagramToDot({ nodes: [{ id: 'a', label: 'say "hi"', external: false }], edges: [] })).toContain('label="say \\"hi\\""');
+  });
+
+  it('should lay out a self-contained SVG with superclasses above subclasses', async () => {
+    const svg = diagramToSvg(await diagramOf());
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" class="specgen-diagram" width="\d+" height="\d+"/);
+    expect(svg).not.toMatch(/href=|<image|@import/);
+    const y = (label) => Number(svg.match(new RegExp(`<rect x="[\\d.]+" y="([\\d.]+)"[^>]*/><text[^>]*>${label}</text>`))[1]);
+    expect(y('Agent')).toBeLessThan(y('Person'));
+    expect(y('CreativeWork')).toBeLessThan(y('Document'));
+    expect(y('Person')).toBe(y('Organization'));
+    expect(svg).toContain('<g class="node external"><title>http://schema.org/CreativeWork</title>');
+    expect(svg).toContain('marker-end="url(#specgen-arrow)" marker-start="url(#specgen-arrow)"/><text');
+    expect(diagramToSvg({ nodes: [], edges: [] })).toBe('');
+  });
+
+  it('should place classes in subclass cycles and many-class vocabularies', async () => {
+    const cycle = buildClassDiagram(extractVocabulary(await parseRdf(path.resolve('test/fixtures/owl/hierarchy.ttl')), { namespace: 'http://example.org/hierarchy/' }));
+    expect(diagramToSvg(cycle)).toContain('>Chicken</text>');
+
+    const nodes = Array.from({ length: 2000 }, (_, i) => ({ id: `c${i}`, label: `Class${i}`, external: false }));
+    const edges = nodes.slice(1).map((n, i) => ({ from: n.id, to: `c${Math.floor((i + 1) / 2)}`, kind: 'subClassOf', label: '', inverse: false }));
+    const start = Date.now();
+    expect(diagramToSvg({ nodes, edges }).match(/<g class="node">/g)).toHaveLength(2000);
+    expect(Date.now() - start).toBeLessThan(10000);
+  });
+
+  it('should give templates the SVG as diagram', async () => {
+    const html = await generateSpec({ rdfPath: path.join(DIAGRAM_DIR, 'vocab.ttl'), templatePath: path.join(DIAGRAM_DIR, 'diagram.njk') });
+    expect(html).toContain('<svg xmlns="http://www.w3.org/2000/svg" class="specgen-diagram"');
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { compareVocabularies, diffVocabularies, formatDiffText, formatDiffHtml, formatDiffMarkdown } from '../src/diff.js';
+import { generateSpec, exportSpecModel } from '../src/spec-generator.js';
+import { generateMarkdown } from '../src/markdown.js';
+import path from 'path';
+
+const V1 = path.resolve('test/fixtures/diff/v1.ttl');
+const V2 = path.resolve('test/fixtures/diff/v2.ttl');
+
+describe('Vocabulary diff', () => {
+  it('should report added, removed, renamed and changed terms', async () => {
+    const diff = await diffVocabularies({ oldRdfPath: V1, newRdfPath: V2 });
+    expect(diff.oldVersion).toBe('1.0');
+    expect(diff.newVersion).toBe('2.0');
+    expect(diff.added).toEqual([{ term: 'ex:Document', termType: 'Class', uri: 'http://example.org/diff/Document', breaking: false }]);
+    expect(diff.removed).toEqual([{ term: 'ex:nick', termType: 'Property', uri: 'http://example.org/diff/nick', breaking: true }]);
+    expect(diff.renamed).toEqual([
+      { from: 'ex:Group', to: 'ex:Organization', termType: 'Class', uri: 'http://example.org/diff/Organization', breaking: true },
+    ]);
+    expect(diff.changed.map(c => c.term)).toEqual(['ex:knows', 'ex:name', 'ex:Person']);
+    expect(diff.changed[2].changes).toEqual([
+      { field: 'label', old: 'Person', new: 'Human', breaking: false },
+      { field: 'status', old: 'testing', new: 'stable', breaking: false },
+    ]);
+    expect(diff.breaking).toBe(true);
+  });
+
+  it('should flag a domain, range or superclass that loses a value as breaking', async () => {
+    const { changed } = await diffVocabularies({ oldRdfPath: V1, newRdfPath: V2 });
+    expect(changed[0].changes).toEqual([{ field: 'domain', old: ['ex:Person'], new: ['ex:Agent'], breaking: true }]);
+    expect(changed[1].changes).toEqual([{ field: 'domain', old: ['ex:Agent'], new: ['ex:Agent', 'ex:Document'], breaking: false }]);
+  });
+
+  it('should report no changes between identical versions', async () => {
+    const diff = await diffVocabularies({ oldRdfPath: V1, newRdfPath: V1 });
+    expect(diff).toMatchObject({ added: [], removed: [], renamed: [], changed: [], breaking: false });
+    expect(formatDiffText(diff)).toBe('No changes\n');
+  });
+
+  it('should compare the selected named graphs', async () => {
+    const releases = path.resolve('test/fixtures/releases.trig');
+    const diff = await diffVocabularies({ oldRdfPath: releases, newRdfPath: releases, graphs: ['http://example.org/graphs/release-1'] });
+    expect(diff.added).toEqual([]);
+    const model = await exportSpecModel({ rdfPath: releases, previousRdfPath: releases, graphs: ['http://example.org/graphs/release-2'] });
+    expect(model.changes).toMatchObject({ added: [], removed: [], changed: [] });
+  });
+
+  it('should read both versions with the same languages, fields and JSON-LD contexts as generation', async () => {
+    const french = await diffVocabularies({ oldRdfPath: V1, newRdfPath: V2, languages: ['fr'] });
+    expect(french.changed.find(c => c.term === 'ex:Person').changes.map(c => c.field)).toEqual(['status']);
+    const fields = await diffVocabularies({ oldRdfPath: V1, newRdfPath: V2, fields: { label: ['rdfs:comment'] } });
+    expect(fields.changed.find(c => c.term === 'ex:Person').changes.map(c => c.field)).toEqual(['status']);
+  });
+
+  it('should diff JSON-LD with a locally mapped @context', async () => {
+    const diff = await diffVocabularies({
+      oldRdfPath: path.resolve('test/fixtures/example.ttl'),
+      newRdfPath: path.resolve('test/fixtures/example.jsonld'),
+      jsonldContexts: { 'https://example.org/vocab/context.jsonld': path.resolve('test/fixtures/example-context.jsonld') },
+    });
+    expect(diff).toMatchObject({ added: [], removed: [], renamed: [], changed: [], breaking: false });
+  });
+
+  it('should show external and expression values by name', () => {
+    const vocab = (rangeFormatted) => ({
+      classes: [],
+      properties: [{ localName: 'p', termType: 'Property', uri: 'http://example.org/p', rangeFormatted }],
+    });
+    const { changed } = compareVocabularies(
+      vocab([{ uri: 'http://www.w3.org/2001/XMLSchema#string', curie: 'xsd:string' }]),
+      vocab([{ op: 'unionOf', label: 'A or B' }]),
+    );
+    expect(changed[0].changes).toEqual([{ field: 'range', old: ['xsd:string'], new: ['A or B'], breaking: true }]);
+  });
+});
+
+describe('Diff output', () => {
+  it('should format text with breaking changes marked', async () => {
+    const text = formatDiffText(await diffVocabularies({ oldRdfPath: V1, newRdfPath: V2 }));
+    expect(text).toContain('Added (1):\n  + Class ex:Document\n');
+    expect(text).toContain('  ~ Class ex:Group -> ex:Organization [breaking]\n');
+    expect(text).toContain('  * Property ex:knows\n      domain: ex:Person -> ex:Agent [breaking]\n');
+    expect(text).toContain('      label: "Person" -> "Human"\n');
+    expect(text.endsWith('3 breaking change(s)\n')).toBe(true);
+  });
+
+  it('should format an HTML changes section', async () => {
+    const html = formatDiffHtml(await diffVocabularies({ oldRdfPath: V1, newRdfPath: V2 }));
+    expect(html).toMatch(/^<section id="changes">\n<h2>Changes since version 1\.0<\/h2>\n/);
+    expect(html).toContain('<li>Property <code>ex:nick</code> <strong class="breaking">(breaking)</strong></li>');
+    expect(html).toContain('<li>Class <a href="http://example.org/diff/Person"><code>ex:Person</code></a>: label changed from "Person" to "Human"; status changed from "testing" to "stable"</li>');
+  });
+
+  it('should format a Markdown changes section', async () => {
+    const markdown = formatDiffMarkdown(await diffVocabularies({ oldRdfPath: V1, newRdfPath: V2 }));
+    expect(markdown).toMatch(/^## Changes since version 1\.0\n\n### Added terms\n\n- Class \[`ex:Document`\]\(http:\/\/example.org\/diff\/Document\)\n/);
+    expect(markdown).toContain('- Class `ex:Group` is now [`ex:Organization`](http://example.org/diff/Organization) **(breaking)**');
+  });
+
+  it('should give templates the changes since a previous version', async () => {
+    const html = await generateSpec({
+      rdfPath: V2,
+      previousRdfPath: V1,
+      templatePath: path.resolve('templates/generic.njk'),
+    });
+    expect(html).toContain('<section id="changes">\n<h2>Changes since version 1.0</h2>');
+  });
+
+  it('should add the changes to Markdown output', async () => {
+    const markdown = await generateMarkdown({ rdfPath: V2, previousRdfPath: V1 });
+    expect(markdown).toContain('## Changes since version 1.0\n');
+    expect(markdown).toContain('- Property `ex:nick` **(breaking)**');
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { loadLabelRegistry } from '../src/label-registry.js';
+import path from 'path';
+
+const GAZETTEER_TTL = path.resolve('test/fixtures/labels/gazetteer.ttl');
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+
+// Helper: every label the registry records for a term, in lookup order
+const labelsOf = (registry, uri) => registry.quads
+  .filter(q => q.subject.value === uri && q.predicate.value === RDFS_LABEL)
+  .map(q => q.object.value);
+
+describe('Label registry', () => {
+  it('should bundle labels for the common vocabularies', async () => {
+    const registry = await loadLabelRegistry();
+    expect(labelsOf(registry, 'http://www.w3.org/2002/07/owl#Thing')).toEqual(['Thing']);
+    expect(labelsOf(registry, 'http://purl.org/dc/elements/1.1/title')).toEqual(['Title']);
+    expect(labelsOf(registry, 'http://www.w3.org/2003/01/geo/wgs84_pos#lat')).toEqual(['latitude']);
+    expect(labelsOf(registry, 'http://www.opengis.net/ont/geosparql#Feature')).toEqual(['Feature']);
+  });
+
+  it('should map namespaces to their preferred prefixes', async () => {
+    const { prefixes } = await loadLabelRegistry();
+    expect(prefixes['http://www.w3.org/2001/XMLSchema#']).toBe('xsd');
+    expect(prefixes['http://www.w3.org/2004/02/skos/core#']).toBe('skos');
+    expect(prefixes['http://www.w3.org/2003/01/geo/wgs84_pos#']).toBe('wgs84');
+  });
+
+  it('should answer for schema.org terms under https as well as http', async () => {
+    const registry = await loadLabelRegistry();
+    expect(labelsOf(registry, 'https://schema.org/Person')).toEqual(['Person']);
+    expect(registry.prefixes['https://schema.org/']).toBe('schema');
+  });
+
+  it('should consult user-supplied files before the bundled ones', async () => {
+    const registry = await loadLabelRegistry([GAZETTEER_TTL]);
+    expect(labelsOf(registry, 'http://www.w3.org/2004/02/skos/core#ConceptScheme')).toEqual(['Thesaurus', 'Concept Scheme']);
+    expect(registry.prefixes['http://example.org/gazetteer/']).toBe('gaz');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { checkLinks } from '../src/link-checker.js';
+import { generateSpec } from '../src/spec-generator.js';
+import path from 'path';
+
+describe('Link checker', () => {
+  it('should accept links to ids and named anchors', () => {
+    const html = '<h2 id="Person">Person</h2>\n<a name="term_knows"></a>\n<a href="#Person">x</a> <a href=\'#term_knows\'>y</a> <a href="#">top</a>';
+    expect(checkLinks(html)).toEqual([]);
+  });
+
+  it('should report broken anchors with their line and context', () => {
+    const html = '<p id="intro">Intro</p>\n<p>See <code><a href=\'#term_skype\'>skype</a></code>.</p>';
+    expect(checkLinks(html)).toEqual([{
+      kind: 'broken-anchor',
+      message: 'Link to #term_skype has no matching id',
+      line: 2,
+      context: '<p>See <code><a href=\'#term_skype\'>skype</a></code>.</p>',
+    }]);
+  });
+
+  it('should report duplicate ids', () => {
+    const problems = checkLinks('<div id="a"></div>\n<div id="b"></div>\n<div id="a"></div>');
+    expect(problems).toMatchObject([{ kind: 'duplicate-id', message: 'Duplicate id "a" (first on line 1)', line: 3 }]);
+  });
+
+  it('should ignore markup inside comments', () => {
+    expect(checkLinks('<!-- <a href="#gone">old</a> -->\n<p id="x"></p>')).toEqual([]);
+  });
+
+  it('should report terms without an anchor', () => {
+    const html = '<div id="term_Person"></div><div id="section-Agent"></div>';
+    const terms = [{ localName: 'Person' }, { localName: 'Agent' }, { localName: 'Group' }];
+    expect(checkLinks(html, { terms })).toEqual([
+      { kind: 'missing-term-anchor', message: 'Term Group has no anchor', line: 0, context: '' },
+    ]);
+  });
+
+  it('should only take anchors behind a one-word prefix as term anchors', () => {
+    const html = '<div id="term_foo_Person"></div><div id="term_family_name"></div>';
+    const terms = [{ localName: 'Person' }, { localName: 'family_name' }, { localName: 'foo_Person' }];
+    expect(checkLinks(html, { terms }).map(p => p.message)).toEqual(['Term Person has no anchor']);
+  });
+
+  it('should not strip a prefix from an id that is itself a term name', () => {
+    const html = '<div id="family_name"></div>';
+    const terms = [{ localName: 'family_name' }, { localName: 'name' }];
+    expect(checkLinks(html, { terms }).map(p => p.message)).toEqual(['Term name has no anchor']);
+  });
+
+  it('should only strip the prefix of the term anchor pattern when given one', () => {
+    const html = '<div id="term_Person"></div><div id="section-Agent"></div><div id="Group"></div>';
+    const terms = [{ localName: 'Person' }, { localName: 'Agent' }, { localName: 'Group' }];
+    expect(checkLinks(html, { terms, termAnchor: 'term_{name}' }).map(p => p.message)).toEqual(['Term Agent has no anchor']);
+  });
+
+  it('should check rendered specs through generateSpec', async () => {
+    const problems = [];
+    await generateSpec({
+      rdfPath: path.resolve('test/fixtures/imports/app.ttl'),
+      templatePath: path.resolve('templates/dcterms.njk'),
+      onLinkProblem: p => problems.push(p),
+    });
+    expect(problems.map(p => p.message)).toEqual(['Link to #http://example.org/base/Machine has no matching id']);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { lintVocabulary, formatLintReport } from '../src/lint.js';
+import path from 'path';
+
+const LINT_TTL = path.resolve('test/fixtures/lint/vocab.ttl');
+const LINT_DOC_DIR = path.resolve('test/fixtures/lint/doc');
+
+describe('Lint', () => {
+  it('should report terms missing labels, comments, status or isDefinedBy', async () => {
+    const issues = await lintVocabulary({ rdfPath: LINT_TTL });
+    const robot = issues.filter(i => i.term === 'http://example.org/lint/Robot');
+    expect(robot.map(i => i.rule)).toEqual([
+      'missing-label', 'missing-comment', 'invalid-status', 'missing-is-defined-by', 'undeclared-term',
+    ]);
+    expect(robot.every(i => i.file === LINT_TTL)).toBe(true);
+    expect(issues.filter(i => i.term === 'http://example.org/lint/Person')).toEqual([]);
+  });
+
+  it('should report references to undeclared terms in the namespace', async () => {
+    const issues = await lintVocabulary({ rdfPath: LINT_TTL });
+    expect(issues.filter(i => i.rule === 'undeclared-term').map(i => i.message)).toEqual([
+      'Class Robot has subClassOf Machine, which the vocabulary doesn\'t declare',
+      'Property pet has range Animal, which the vocabulary doesn\'t declare',
+    ]);
+  });
+
+  it('should check doc fragments for unknown terms', async () => {
+    const issues = await lintVocabulary({ rdfPath: LINT_TTL, docDir: LINT_DOC_DIR, prefix: 'ex' });
+    expect(issues.filter(i => i.file.startsWith(LINT_DOC_DIR))).toEqual([
+      { rule: 'orphan-doc-fragment', severity: 'warning', message: 'Doc fragment Pager.en matches no term', term: '', file: path.join(LINT_DOC_DIR, 'Pager.en') },
+      { rule: 'unknown-term-reference', severity: 'error', message: '<code>ex:skype</code> refers to an unknown term', term: '', file: path.join(LINT_DOC_DIR, 'Person.en') },
+    ]);
+  });
+
+  it('should take the prefix in doc fragment references literally', async () => {
+    const issues = await lintVocabulary({ rdfPath: LINT_TTL, docDir: LINT_DOC_DIR, prefix: '.x' });
+    expect(issues.some(i => i.rule === 'unknown-term-reference')).toBe(false);
+  });
+
+  it('should read the vocabulary with the same graphs and field mapping as generation', async () => {
+    const releases = await lintVocabulary({ rdfPath: path.resolve('test/fixtures/releases.trig'), graphs: ['http://example.org/graphs/release-1'] });
+    expect(releases.some(i => i.term === 'http://example.org/vocab/partOf')).toBe(false);
+    const fields = { rdfPath: path.resolve('test/fixtures/fields.ttl'), severities: { 'missing-label': 'error' } };
+    const recipe = (issues) => issues.filter(i => i.term === 'http://example.org/fields/Recipe').map(i => i.rule);
+    expect(recipe(await lintVocabulary(fields))).toContain('missing-label');
+    expect(recipe(await lintVocabulary({ ...fields, fields: { label: ['skos:prefLabel'] } }))).not.toContain('missing-label');
+  });
+
+  it('should apply configured severities', async () => {
+    const issues = await lintVocabulary({
+      rdfPath: LINT_TTL,
+      severities: { 'missing-label': 'off', 'invalid-status': 'warning' },
+    });
+    expect(issues.some(i => i.rule === 'missing-label')).toBe(false);
+    expect(issues.find(i => i.rule === 'invalid-status').severity).toBe('warning');
+  });
+
+  it('should reject unknown rules and severities', async () => {
+    await expect(lintVocabulary({ rdfPath: LINT_TTL, severities: { 'no-such-rule': 'error' } }))
+      .rejects.toThrow('Unknown lint rule: no-such-rule');
+    await expect(lintVocabulary({ rdfPath: LINT_TTL, severities: { 'missing-label': 'fatal' } }))
+      .rejects.toThrow('Severity of missing-label must be one of: error, warning, info, off');
+  });
+
+  it('should format a text report with a summary', () => {
+    const report = formatLintReport([
+      { rule: 'missing-label', severity: 'warning', message: 'Class Robot has no rdfs:label', term: '', file: 'vocab.ttl' },
+    ]);
+    expect(report).toBe('vocab.ttl: warning: Class Robot has no rdfs:label [missing-label]\n0 error(s), 1 warning(s), 0 info\n');
+  });
+});
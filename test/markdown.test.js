@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { htmlToMarkdown, generateMarkdown, renderMarkdown } from '../src/markdown.js';
+import path from 'path';
+
+describe('HTML to Markdown', () => {
+  it('should convert paragraphs and inline markup', () => {
+    const html = '<p>A <em>small</em>, <b>bold</b>\n   step &amp; <code>foaf:name</code>.</p><p>Next<br>line</p>';
+    expect(htmlToMarkdown(html)).toBe('A *small*, **bold** step & `foaf:name`.\n\nNext\\\nline');
+  });
+
+  it('should rewrite links to term anchors and keep other links', () => {
+    const html = "<p>See <code><a href='#term_Person'>Person</a></code>, <a href=\"http://example.org/\">elsewhere</a> and <a href='#nowhere'>here</a>.</p>";
+    expect(htmlToMarkdown(html, { anchors: { term_Person: 'class-experson' } }))
+      .toBe('See [`Person`](#class-experson), [elsewhere](http://example.org/) and [here](#nowhere).');
+  });
+
+  it('should leave invalid numeric character references as written', () => {
+    expect(htmlToMarkdown('<p>x &#x110000; y &#xD800; z &#65;</p>')).toBe('x &#x110000; y &#xD800; z A');
+  });
+
+  it('should convert lists, closing unclosed items', () => {
+    const html = '<ul><li>one<li>two<ol><li>a</li><li>b</li></ol></ul>';
+    expect(htmlToMarkdown(html)).toBe('- one\n- two\n\n  1. a\n  2. b');
+  });
+
+  it('should keep preformatted text as written', () => {
+    expect(htmlToMarkdown('<pre>\n&lt;foaf:Person&gt;\n  <foaf:name>Dan</foaf:name>\n</pre>'))
+      .toBe('```\n<foaf:Person>\n  Dan\n```');
+  });
+
+  it('should shift headings and quote blockquotes', () => {
+    expect(htmlToMarkdown('<h2>Usage</h2><blockquote><p>One</p><p>Two</p></blockquote>', { headingLevel: 4 }))
+      .toBe('##### Usage\n\n> One\n>\n> Two');
+  });
+
+  it('should escape text that Markdown would interpret', () => {
+    expect(htmlToMarkdown('<p>*not* [a link] or _emphasis_, but snake_case</p>'))
+      .toBe('\\*not\\* \\[a link\\] or \\_emphasis\\_, but snake_case');
+  });
+});
+
+describe('Markdown output', () => {
+  it('should list terms with their facts and heading anchors', async () => {
+    const markdown = await generateMarkdown({ rdfPath: path.resolve('test/fixtures/owl/hierarchy.ttl') });
+    expect(markdown).toMatch(/^# Vocabulary Specification\n\n- \*\*Namespace:\*\* <http:\/\/example.org\/hierarchy\/>\n/);
+    expect(markdown).toContain('- **[Classes](#classes):** [ex:Agent](#class-exagent), [ex:Chicken](#class-exchicken),');
+    expect(markdown).toContain([
+      '### Property: ex:givenName',
+      '',
+      '- **URI:** <http://example.org/hierarchy/givenName>',
+      '- **Label:** given name',
+      '- **Domain:** [ex:Person](#class-experson)',
+      '- **Subproperty of:** [ex:name](#property-exname)',
+      '- **Superproperty of:** [ex:nick](#property-exnick)',
+    ].join('\n'));
+    expect(markdown).toContain('- **Superclass of:** [ex:Person](#class-experson), [ex:Organization](#class-exorganization)');
+  });
+
+  it('should convert doc fragments and link prefixed names to term sections', async () => {
+    const dir = path.resolve('test/fixtures/linkify');
+    const markdown = await generateMarkdown({ rdfPath: path.join(dir, 'vocab.ttl'), docDir: path.join(dir, 'doc') });
+    expect(markdown).toContain('Unlike a [`Gadget`](#class-exgadget), a widget has a [`dc:title`](http://purl.org/dc/elements/1.1/title)');
+    expect(markdown).toContain('but no `ex:Sprocket`');
+  });
+
+  it('should show class expressions as text and number repeated anchors', () => {
+    const term = (localName, extra = {}) => ({ uri: `http://example.org/${localName}`, localName, label: localName, ...extra });
+    const markdown = renderMarkdown({
+      title: 'Example', prefix: '', namespace: 'http://example.org/', creators: [], contributors: [],
+      alphaClasses: [term('Person', { subClassOfFormatted: [{ uri: '', localName: '', label: 'has child only Person' }] })],
+      alphaProperties: [term('person')],
+      alphaDatatypes: [term('Person'), term('person')],
+    });
+    expect(markdown).toContain('- **Subclass of:** has child only Person');
+    expect(markdown).toContain('- **[Properties](#properties):** [person](#property-person)');
+    expect(markdown).toContain('- **[Datatypes](#datatypes):** [Person](#datatype-person), [person](#datatype-person-1)');
+  });
+});
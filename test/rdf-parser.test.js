@@ -1,10 +1,28 @@
 import { describe, it, expect } from 'vitest';
-import { parseRdf } from '../src/rdf-parser.js';
+import { parseRdf, parseRdfSources, selectGraphs, detectFormat } from '../src/rdf-parser.js';
+import { SpecgenParseError } from '../src/errors.js';
+import { readFile } from 'fs/promises';
 import path from 'path';
 
 const FOAF_RDF = path.resolve('../third_party/xmlns-foaf/xmlns-foaf-rdf.xml');
 const DCTERMS_RDF = path.resolve('../third_party/dcterms/dcterms-rdf.xml');
 
+const EXAMPLE_TTL = path.resolve('test/fixtures/example.ttl');
+const EXAMPLE_JSONLD = path.resolve('test/fixtures/example.jsonld');
+const EXAMPLE_JSONLD_RELATIVE = path.resolve('test/fixtures/example-relative.jsonld');
+const EXAMPLE_CONTEXT = path.resolve('test/fixtures/example-context.jsonld');
+const EXAMPLE_CONTEXT_IRI = 'https://example.org/vocab/context.jsonld';
+const TURTLE_MISNAMED = path.resolve('test/fixtures/turtle-misnamed.rdf');
+const NTRIPLES_NO_EXT = path.resolve('test/fixtures/example-noext');
+const MODULES_GLOB = 'test/fixtures/modules/*.ttl';
+const BROKEN_TTL = 'test/fixtures/broken.ttl';
+const BROKEN_RDF = 'test/fixtures/broken.rdf';
+const BROKEN_JSONLD = 'test/fixtures/broken.jsonld';
+const RELEASES_TRIG = path.resolve('test/fixtures/releases.trig');
+const RELEASES_NQ = path.resolve('test/fixtures/releases.nq');
+const RELEASE_1 = 'http://example.org/graphs/release-1';
+const EDITORIAL = 'http://example.org/graphs/editorial';
+
 describe('RDF Parser', () => {
 
   describe('FOAF RDF/XML', () => {
@@ -152,4 +170,244 @@ describe('RDF Parser', () => {
       expect(subProp).toBeDefined();
     });
   });
+
+  describe('JSON-LD', () => {
+    const sortedTriples = (quads) => quads
+      .map(q => `${q.subject.value} ${q.predicate.value} ${q.object.value}`)
+      .sort();
+
+    it('should parse JSON-LD using a locally mapped @context', async () => {
+      const quads = await parseRdf(EXAMPLE_JSONLD, undefined, {
+        jsonldContexts: { [EXAMPLE_CONTEXT_IRI]: EXAMPLE_CONTEXT },
+      });
+      const label = quads.find(
+        q => q.subject.value === 'http://example.org/vocab/Widget'
+          && q.predicate.value === 'http://www.w3.org/2000/01/rdf-schema#label'
+      );
+      expect(label.object.value).toBe('Widget');
+    });
+
+    it('should produce the same triples as the equivalent Turtle', async () => {
+      const ttlQuads = await parseRdf(EXAMPLE_TTL);
+      const jsonldQuads = await parseRdf(EXAMPLE_JSONLD, 'jsonld', {
+        jsonldContexts: { [EXAMPLE_CONTEXT_IRI]: EXAMPLE_CONTEXT },
+      });
+      expect(sortedTriples(jsonldQuads)).toEqual(sortedTriples(ttlQuads));
+    });
+
+    it('should accept an inline context object in the context map', async () => {
+      const context = JSON.parse(await readFile(EXAMPLE_CONTEXT, 'utf-8'))['@context'];
+      const quads = await parseRdf(EXAMPLE_JSONLD, undefined, {
+        jsonldContexts: { [EXAMPLE_CONTEXT_IRI]: context },
+      });
+      expect(quads.length).toBe(11);
+    });
+
+    it('should resolve a relative @context against the input file', async () => {
+      const quads = await parseRdf(EXAMPLE_JSONLD_RELATIVE);
+      expect(quads.length).toBe(11);
+    });
+
+    it('should refuse to fetch an unmapped remote @context', async () => {
+      await expect(parseRdf(EXAMPLE_JSONLD)).rejects.toThrow(/No local copy of JSON-LD context/);
+    });
+
+    it('should report context loading failures as they are, not as syntax errors', async () => {
+      const missing = { jsonldContexts: { [EXAMPLE_CONTEXT_IRI]: path.resolve('test/fixtures/no-such-context.jsonld') } };
+      for (const options of [missing, { ...missing, lenient: true }]) {
+        const err = await parseRdf(EXAMPLE_JSONLD, undefined, options).catch(e => e);
+        expect(err).not.toBeInstanceOf(SpecgenParseError);
+        expect(err.message).toMatch(/Failed to load remote context .*ENOENT/);
+      }
+    });
+  });
+
+  describe('Format detection', () => {
+    it('should detect RDF/XML from an XML prolog or rdf:RDF element', () => {
+      expect(detectFormat('<?xml version="1.0"?>\n<rdf:RDF>')).toBe('rdfxml');
+      expect(detectFormat('\uFEFF<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">')).toBe('rdfxml');
+      expect(detectFormat('<!-- generated -->\n<rdf:RDF>')).toBe('rdfxml');
+    });
+
+    it('should detect Turtle from @prefix or SPARQL-style PREFIX', () => {
+      expect(detectFormat('# comment\n@prefix ex: <http://example.org/> .')).toBe('turtle');
+      expect(detectFormat('PREFIX ex: <http://example.org/>\nex:a ex:b ex:c .')).toBe('turtle');
+      expect(detectFormat('ex:a a ex:C .')).toBe('turtle');
+    });
+
+    it('should detect N-Triples from statement shapes', () => {
+      expect(detectFormat('<http://a> <http://b> "c" .\n_:x <http://b> <http://c> .')).toBe('ntriples');
+      // Turtle abbreviations after an IRI-only first line are not N-Triples
+      expect(detectFormat('<http://a> <http://b> <http://c> ;\n  <http://d> "e" .')).toBe('turtle');
+    });
+
+    it('should detect JSON-LD from a leading object or array', () => {
+      expect(detectFormat('{ "@context": {} }')).toBe('jsonld');
+      expect(detectFormat('[\n  { "@id": "x" }\n]')).toBe('jsonld');
+      expect(detectFormat('[ a <http://example.org/C> ] .')).toBe('turtle');
+    });
+
+    it('should detect TriG from graph blocks and N-Quads from graph labels', () => {
+      expect(detectFormat('@prefix ex: <http://example.org/> .\nex:g {\n  ex:a ex:b ex:c .\n}')).toBe('trig');
+      expect(detectFormat('GRAPH <http://g> { <http://a> <http://b> <http://c> }')).toBe('trig');
+      expect(detectFormat('{\n  <http://a> <http://b> <http://c> .\n}')).toBe('trig');
+      expect(detectFormat('{\n\n  "@context": {}\n}')).toBe('jsonld');
+      expect(detectFormat('<http://a> <http://b> "c"@en <http://g> .\n<http://a> <http://b> <http://c> .')).toBe('nquads');
+      expect(detectFormat('<http://a> <http://b> "c . d" .')).toBe('ntriples');
+    });
+
+    it('should return null for empty or unrecognised input', () => {
+      expect(detectFormat('')).toBeNull();
+      expect(detectFormat('just some text')).toBeNull();
+    });
+
+    it('should parse a Turtle file with an .rdf extension', async () => {
+      const quads = await parseRdf(TURTLE_MISNAMED);
+      expect(quads.length).toBe(11);
+    });
+
+    it('should parse an N-Triples file with no extension', async () => {
+      const quads = await parseRdf(NTRIPLES_NO_EXT);
+      expect(quads.length).toBe(11);
+    });
+
+    it('should reject an unknown explicit format', async () => {
+      await expect(parseRdf(EXAMPLE_TTL, 'rdfa')).rejects.toThrow(/Unknown RDF format "rdfa"/);
+    });
+  });
+
+  describe('Multi-file sources', () => {
+    it('should expand a glob into sorted file paths', async () => {
+      const { files } = await parseRdfSources(MODULES_GLOB);
+      expect(files.map(f => path.basename(f.path))).toEqual(['core.ttl', 'properties.ttl', 'status.ttl']);
+    });
+
+    it('should merge files and drop duplicate triples', async () => {
+      const { quads } = await parseRdfSources(MODULES_GLOB);
+      const subClassOf = quads.filter(
+        q => q.subject.value === 'http://example.org/modular/Gizmo'
+          && q.predicate.value === 'http://www.w3.org/2000/01/rdf-schema#subClassOf'
+      );
+      expect(subClassOf.length).toBe(1);
+      const status = quads.find(
+        q => q.subject.value === 'http://example.org/modular/powers'
+          && q.predicate.value === 'http://www.w3.org/2003/06/sw-vocab-status/ns#term_status'
+      );
+      expect(status.object.value).toBe('unstable');
+    });
+
+    it('should record the declaring file for each subject', async () => {
+      const { subjectSources } = await parseRdfSources(MODULES_GLOB);
+      // Gadget is annotated in status.ttl but typed in core.ttl
+      expect(path.basename(subjectSources.get('http://example.org/modular/Gadget'))).toBe('core.ttl');
+      expect(path.basename(subjectSources.get('http://example.org/modular/powers'))).toBe('properties.ttl');
+    });
+
+    it('should keep blank nodes from different files apart', async () => {
+      // Both files label their blank node rdf:nodeID="n1"
+      const { quads } = await parseRdfSources(['test/fixtures/bnode-a.rdf', 'test/fixtures/bnode-b.rdf']);
+      const seeAlso = quads.filter(q => q.predicate.value === 'http://www.w3.org/2000/01/rdf-schema#seeAlso');
+      expect(seeAlso.length).toBe(2);
+      expect(seeAlso[0].object.value).not.toBe(seeAlso[1].object.value);
+      const labels = quads.filter(q => q.subject.equals(seeAlso[1].object)).map(q => q.object.value);
+      expect(labels).toEqual(['note b']);
+    });
+
+    it('should drop every triple when the same content is merged twice', async () => {
+      const { quads } = await parseRdfSources([EXAMPLE_TTL, TURTLE_MISNAMED]);
+      expect(quads.length).toBe(11);
+    });
+
+    it('should reject a glob that matches nothing', async () => {
+      await expect(parseRdfSources('test/fixtures/nothing-here/*.ttl')).rejects.toThrow(/No RDF files match/);
+    });
+  });
+
+  describe('Named graphs', () => {
+    it('should parse TriG and N-Quads into the same quads', async () => {
+      const key = q => `${q.subject.value} ${q.predicate.value} ${q.object.value} ${q.graph.value}`;
+      const trig = (await parseRdf(RELEASES_TRIG)).map(key).sort();
+      const nquads = (await parseRdf(RELEASES_NQ)).map(key).sort();
+      expect(trig.length).toBe(13);
+      expect(nquads).toEqual(trig);
+    });
+
+    it('should keep only the selected graphs', async () => {
+      const { quads } = selectGraphs(await parseRdf(RELEASES_TRIG), [RELEASE_1, 'default']);
+      expect(quads.length).toBe(4);
+      expect(quads.every(q => q.graph.termType === 'DefaultGraph')).toBe(true);
+    });
+
+    it('should collapse triples repeated across graphs', async () => {
+      const { quads } = selectGraphs(await parseRdf(RELEASES_TRIG));
+      const labels = quads.filter(
+        q => q.subject.value === 'http://example.org/vocab/Widget'
+          && q.predicate.value === 'http://www.w3.org/2000/01/rdf-schema#label'
+      );
+      expect(labels.length).toBe(1);
+    });
+
+    it('should list the declaring graph first for each subject', async () => {
+      const { subjectGraphs } = selectGraphs(await parseRdf(RELEASES_TRIG), [EDITORIAL, 'http://example.org/graphs/release-2']);
+      expect(subjectGraphs.get('http://example.org/vocab/partOf')).toEqual(['http://example.org/graphs/release-2', EDITORIAL]);
+    });
+
+    it('should reject a graph that is not in the input', async () => {
+      expect(() => selectGraphs([], ['http://example.org/graphs/missing'])).toThrow(/No statements in graph/);
+    });
+  });
+
+  describe('Parse errors', () => {
+    const parseError = async (...args) => {
+      try {
+        await parseRdf(...args);
+      } catch (err) {
+        return err;
+      }
+      throw new Error('expected parseRdf to fail');
+    };
+
+    it('should locate Turtle errors by file, line and column', async () => {
+      const err = await parseError(BROKEN_TTL);
+      expect(err).toBeInstanceOf(SpecgenParseError);
+      expect(err).toMatchObject({ filePath: BROKEN_TTL, format: 'turtle', line: 3, column: 16 });
+      expect(err.message).toBe('Expected punctuation to follow "http://e/c"');
+      expect(err.excerpt.map(l => l.number)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should locate RDF/XML errors', async () => {
+      const err = await parseError(BROKEN_RDF);
+      expect(err).toMatchObject({ format: 'rdfxml', line: 5, column: 7 });
+      expect(err.message).toMatch(/^Invalid IRI/);
+    });
+
+    it('should locate JSON-LD syntax errors', async () => {
+      const err = await parseError(BROKEN_JSONLD);
+      expect(err).toMatchObject({ format: 'jsonld', line: 4, column: 1 });
+    });
+
+    it('should render a compiler-style diagnostic', async () => {
+      const err = await parseError(BROKEN_TTL);
+      expect(err.toDiagnostic().split('\n').slice(0, 1)).toEqual([
+        `${BROKEN_TTL}:3:16: error: Expected punctuation to follow "http://e/c" (turtle)`,
+      ]);
+      expect(err.toDiagnostic()).toContain('> 3 | ex:a ex:b ex:c ex:d .\n    |                ^');
+      expect(err.toDiagnostic('warning')).toContain(': warning: ');
+    });
+
+    it('should skip bad Turtle statements in lenient mode', async () => {
+      const warnings = [];
+      const quads = await parseRdf(BROKEN_TTL, undefined, { lenient: true, onWarning: w => warnings.push(w) });
+      expect(quads.map(q => q.subject.value)).toEqual(['http://e/a', 'http://e/k']);
+      expect(warnings.map(w => w.line)).toEqual([3, 5]);
+      expect(warnings[0]).toBeInstanceOf(SpecgenParseError);
+    });
+
+    it('should keep statements before the fault for RDF/XML in lenient mode', async () => {
+      const warnings = [];
+      const quads = await parseRdf(BROKEN_RDF, undefined, { lenient: true, onWarning: w => warnings.push(w) });
+      expect(quads.map(q => q.subject.value)).toEqual(['http://ok']);
+      expect(warnings.length).toBe(1);
+    });
+  });
 });
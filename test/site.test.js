@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { renderSite, generateSite } from '../src/site.js';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const HIERARCHY_RDF = path.resolve('test/fixtures/owl/hierarchy.ttl');
+const LINKIFY_DIR = path.resolve('test/fixtures/linkify');
+
+describe('Multi-page site', () => {
+  it('should render an index and a page per term, with extra vocabularies in their own directory', async () => {
+    const pages = await renderSite({
+      rdfPath: HIERARCHY_RDF,
+      extraRdf: [{ name: 'elements', path: path.join(LINKIFY_DIR, 'elements.ttl') }],
+    });
+    expect([...pages.keys()]).toEqual([
+      'index.html',
+      'classes/Agent.html', 'classes/Chicken.html', 'classes/Egg.html', 'classes/Employee.html',
+      'classes/Organization.html', 'classes/Person.html', 'classes/Student.html',
+      'properties/givenName.html', 'properties/name.html', 'properties/nick.html', 'properties/school.html',
+      'elements/properties/title.html',
+    ]);
+    expect(pages.get('index.html')).toContain('<a href="classes/Agent.html">Agent</a>');
+    expect(pages.get('index.html')).toContain('<a href="elements/properties/title.html">title</a>');
+  });
+
+  it('should only link to pages that exist', async () => {
+    const pages = await renderSite({
+      rdfPath: HIERARCHY_RDF,
+      extraRdf: [{ name: 'elements', path: path.join(LINKIFY_DIR, 'elements.ttl') }],
+    });
+    for (const [page, html] of pages) {
+      for (const [, href] of html.matchAll(/href="([^"#:]+)"/g)) {
+        const target = path.posix.normalize(path.posix.join(path.posix.dirname(page), href));
+        expect(pages.has(target), `${page} links to ${href}`).toBe(true);
+      }
+    }
+  });
+
+  it('should give terms with reserved characters a safe, unique page at the href', async () => {
+    const pages = await renderSite({ rdfPath: path.resolve('test/fixtures/site/reserved.ttl') });
+    expect([...pages.keys()]).toEqual(['index.html', 'classes/Part_Whole.html', 'classes/Part_Whole-2.html', 'classes/Thing.html']);
+    expect(pages.get('index.html')).toContain('<a href="classes/Part_Whole-2.html">Part/Whole</a>');
+    expect(pages.get('classes/Thing.html')).toContain('<a href="../classes/Part_Whole.html">Part:Whole</a>');
+  });
+
+  it('should give term pages breadcrumbs down the hierarchy', async () => {
+    const pages = await renderSite({ rdfPath: HIERARCHY_RDF });
+    expect(pages.get('classes/Student.html')).toMatch(
+      /<a href="\.\.\/index.html">Vocabulary Specification<\/a>\s*\/ <a href="\.\.\/classes\/Agent.html">Agent<\/a> \/ <a href="\.\.\/classes\/Person.html">Person<\/a>\s*\/ Student/,
+    );
+    expect(pages.get('properties/nick.html')).toContain('/ <a href="../properties/name.html">name</a> / <a href="../properties/givenName.html">given name</a>');
+  });
+
+  it('should use separate index and term templates and point doc fragment links at term pages', async () => {
+    const pages = await renderSite({
+      rdfPath: path.join(LINKIFY_DIR, 'vocab.ttl'),
+      docDir: path.join(LINKIFY_DIR, 'doc'),
+      indexTemplatePath: path.resolve('templates/generic.njk'),
+      termTemplatePath: path.resolve('test/fixtures/site/term.njk'),
+    });
+    expect(pages.get('index.html')).toContain('<h2>Index of Terms</h2>');
+    const widget = pages.get('classes/Widget.html');
+    expect(widget).toMatch(/^\.\.\/\|classes\|\|\|/);
+    expect(widget).toContain("<code><a href='../classes/Gadget.html'>Gadget</a></code>");
+    expect(widget).toContain('<a href="#x">ex:Gadget</a>');
+  });
+
+  it('should write the pages into the output directory', async () => {
+    const outputDir = await mkdtemp(path.join(os.tmpdir(), 'specgen2k-site-'));
+    try {
+      const files = await generateSite({ rdfPath: HIERARCHY_RDF, outputDir });
+      expect(files).toHaveLength(12);
+      expect(await readFile(path.join(outputDir, 'classes', 'Person.html'), 'utf-8')).toContain('<h1>ex:Person</h1>');
+    } finally {
+      await rm(outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -1,8 +1,9 @@
 import { describe, it, expect } from 'vitest';
 import { parseRdf } from '../src/rdf-parser.js';
-import { extractVocabulary, loadDocFragments, generateSpec } from '../src/spec-generator.js';
+import { extractVocabulary, extractOntologyMetadata, loadDocFragments, loadDocFragmentVariants, generateSpec, exportSpecModel, MODEL_SCHEMA_VERSION } from '../src/spec-generator.js';
 import { readFile } from 'fs/promises';
 import path from 'path';
+import { DataFactory } from 'n3';
 
 const FOAF_RDF = path.resolve('../third_party/xmlns-foaf/xmlns-foaf-rdf.xml');
 const FOAF_HTML = path.resolve('../third_party/xmlns-foaf/xmlns-foaf-currentpage.html');
@@ -234,3 +235,742 @@ describe('DC Terms HTML Generation', () => {
     expect(articleCount).toBeGreaterThan(40);
   });
 });
+
+describe('Multi-file input', () => {
+  it('should merge several files into one spec and expose each term\'s source file', async () => {
+    const output = await generateSpec({
+      rdfPath: [path.resolve('test/fixtures/modules/core.ttl'), 'test/fixtures/modules/p*.ttl', 'test/fixtures/modules/status.ttl'],
+      templatePath: path.resolve('test/fixtures/source-files.njk'),
+    });
+    const lines = output.trim().split('\n').map(l => l.split(' ').map(p => path.basename(p)).join(' '));
+    expect(lines).toEqual(['Gadget core.ttl', 'Gizmo core.ttl', 'powers properties.ttl']);
+  });
+});
+
+describe('Named graph input', () => {
+  it('should tell templates which graph each term came from', async () => {
+    const output = await generateSpec({
+      rdfPath: path.resolve('test/fixtures/releases.trig'),
+      templatePath: path.resolve('test/fixtures/graphs.njk'),
+      graphs: ['http://example.org/graphs/release-2', 'http://example.org/graphs/editorial'],
+    });
+    expect(output).toContain('Widget stable [http://example.org/graphs/release-2] http://example.org/graphs/release-2,http://example.org/graphs/editorial');
+    expect(output).toContain('partOf testing [http://example.org/graphs/release-2]');
+  });
+
+  it('should leave out terms that only appear in unselected graphs', async () => {
+    const output = await generateSpec({
+      rdfPath: path.resolve('test/fixtures/releases.nq'),
+      templatePath: path.resolve('test/fixtures/graphs.njk'),
+      graphs: ['http://example.org/graphs/release-1'],
+    });
+    expect(output).toContain('Widget');
+    expect(output).not.toContain('partOf');
+  });
+});
+
+describe('owl:imports through a catalog', () => {
+  it('should label external terms from imported ontologies', async () => {
+    const warnings = [];
+    const output = await generateSpec({
+      rdfPath: path.resolve('test/fixtures/imports/app.ttl'),
+      templatePath: path.resolve('test/fixtures/external-classes.njk'),
+      catalog: path.resolve('test/fixtures/imports/catalog-v001.xml'),
+      onWarning: w => warnings.push(w.message),
+    });
+    expect(output).toContain('Agent: Acting agent - Something that acts.');
+    expect(output).toContain('Machine: Generic machine - A device that performs work.');
+    expect(output).toContain('operator range Acting agent');
+    expect(warnings).toEqual(['owl:imports <http://example.org/not-in-catalog> has no entry in the catalog; skipping it']);
+  });
+
+  it('should fall back to local names without a catalog', async () => {
+    const output = await generateSpec({
+      rdfPath: path.resolve('test/fixtures/imports/app.ttl'),
+      templatePath: path.resolve('test/fixtures/external-classes.njk'),
+    });
+    expect(output).toContain('Agent: Agent - \n');
+    expect(output).toContain('operator range Agent');
+  });
+});
+
+describe('Language selection', () => {
+  const I18N_TTL = path.resolve('test/fixtures/i18n/vocab.ttl');
+  const I18N_DOC_DIR = path.resolve('test/fixtures/i18n/doc');
+  const I18N_NS = 'http://example.org/i18n/';
+
+  it('should keep the first literal when no language chain is given', async () => {
+    const vocab = extractVocabulary(await parseRdf(I18N_TTL), { namespace: I18N_NS });
+    const person = vocab.classes.find(c => c.localName === 'Person');
+    expect(person.label).toBe('Person');
+  });
+
+  it('should pick literals by language fallback chain', async () => {
+    const vocab = extractVocabulary(await parseRdf(I18N_TTL), { namespace: I18N_NS, languages: ['fr', 'en', ''] });
+    const person = vocab.classes.find(c => c.localName === 'Person');
+    expect(person.label).toBe('Personne');
+    expect(person.comment).toBe('Une personne.');
+    const name = vocab.properties.find(p => p.localName === 'name');
+    expect(name.comment).toBe('A name.');
+  });
+
+  it('should match language subtags and untagged literals', async () => {
+    const vocab = extractVocabulary(await parseRdf(I18N_TTL), { namespace: I18N_NS, languages: ['ja', 'en', ''] });
+    const person = vocab.classes.find(c => c.localName === 'Person');
+    // 'en' matches the en-GB comment
+    expect(person.comment).toBe('A person.');
+    const name = vocab.properties.find(p => p.localName === 'name');
+    expect(name.label).toBe('name');
+  });
+
+  it('should expose every language variant of each text field', async () => {
+    const vocab = extractVocabulary(await parseRdf(I18N_TTL), { namespace: I18N_NS });
+    const person = vocab.classes.find(c => c.localName === 'Person');
+    expect(person.variants.label).toEqual({ en: 'Person', fr: 'Personne', ja: '人' });
+    expect(person.variants.comment).toEqual({ 'en-gb': 'A person.', fr: 'Une personne.' });
+    const name = vocab.properties.find(p => p.localName === 'name');
+    expect(name.variants.label).toEqual({ '': 'name', fr: 'nom' });
+  });
+
+  it('should load doc fragments in every language', async () => {
+    const variants = await loadDocFragmentVariants(I18N_DOC_DIR);
+    expect(Object.keys(variants.get('Person')).sort()).toEqual(['en', 'fr']);
+    expect(Object.keys(variants.get('name'))).toEqual(['ja']);
+  });
+
+  it('should only take file extensions of known languages as doc fragment languages', async () => {
+    const dir = path.resolve('test/fixtures/doc-extensions');
+    expect([...(await loadDocFragmentVariants(dir)).entries()]).toEqual([['Person', { en: '<p>Every person.</p>\n' }]]);
+    const filipino = await loadDocFragmentVariants(dir, ['fil', 'en']);
+    expect(Object.keys(filipino.get('Person')).sort()).toEqual(['en', 'fil']);
+  });
+
+  it('should load doc fragments for the language chain, defaulting to English', async () => {
+    expect((await loadDocFragments(I18N_DOC_DIR)).get('Person')).toContain('Every');
+    expect((await loadDocFragments(I18N_DOC_DIR)).has('name')).toBe(false);
+    const french = await loadDocFragments(I18N_DOC_DIR, ['fr', 'en']);
+    expect(french.get('Person')).toContain('Chaque');
+  });
+
+  it('should render the chosen language and list available languages', async () => {
+    const output = await generateSpec({
+      rdfPath: I18N_TTL,
+      templatePath: path.resolve('test/fixtures/i18n.njk'),
+      docDir: I18N_DOC_DIR,
+      languages: ['fr', 'en', ''],
+    });
+    expect(output).toContain('en,en-gb,fr,ja');
+    expect(output).toContain('Person|Personne|Une personne.|<p>Chaque');
+    expect(output).toContain('name|nom|A name.||=name;fr=nom;');
+  });
+});
+
+describe('Large vocabularies', () => {
+  const NS = 'http://example.org/big/';
+  const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+  const RDFS_NS = 'http://www.w3.org/2000/01/rdf-schema#';
+
+  // 10k classes in a binary hierarchy, 40k properties spread across them
+  function syntheticVocabulary(classCount, propertyCount) {
+    const { namedNode, literal, quad } = DataFactory;
+    const type = namedNode(`${RDF_NS}type`);
+    const label = namedNode(`${RDFS_NS}label`);
+    const quads = [];
+    for (let i = 0; i < classCount; i++) {
+      const s = namedNode(`${NS}Class${i}`);
+      quads.push(quad(s, type, namedNode(`${RDFS_NS}Class`)));
+      quads.push(quad(s, label, literal(`Class ${i}`)));
+      quads.push(quad(s, namedNode(`${RDFS_NS}comment`), literal(`The class number ${i}.`)));
+      if (i) quads.push(quad(s, namedNode(`${RDFS_NS}subClassOf`), namedNode(`${NS}Class${Math.floor(i / 2)}`)));
+    }
+    for (let i = 0; i < propertyCount; i++) {
+      const s = namedNode(`${NS}prop${i}`);
+      quads.push(quad(s, type, namedNode(`${RDF_NS}Property`)));
+      quads.push(quad(s, label, literal(`prop ${i}`)));
+      quads.push(quad(s, namedNode(`${RDFS_NS}domain`), namedNode(`${NS}Class${i % classCount}`)));
+      quads.push(quad(s, namedNode(`${RDFS_NS}range`), namedNode(`${NS}Class${(i * 7) % classCount}`)));
+    }
+    return quads;
+  }
+
+  it('should extract a 50k-term vocabulary in seconds', () => {
+    const quads = syntheticVocabulary(10000, 40000);
+    const start = Date.now();
+    const vocab = extractVocabulary(quads, { namespace: NS });
+    const elapsed = Date.now() - start;
+
+    expect(vocab.classes).toHaveLength(10000);
+    expect(vocab.properties).toHaveLength(40000);
+    const c1 = vocab.classes.find(c => c.localName === 'Class1');
+    expect(c1.hasSubClass.map(s => s.localName)).toEqual(['Class2', 'Class3']);
+    expect(c1.inDomainOf).toHaveLength(4);
+    // A linear scan per lookup takes minutes at this size
+    expect(elapsed).toBeLessThan(30000);
+  }, 120000);
+});
+
+describe('OWL class expressions', () => {
+  const EXPRESSIONS_TTL = path.resolve('test/fixtures/owl/expressions.ttl');
+  const NS = 'http://example.org/agents/';
+
+  async function extract() {
+    return extractVocabulary(await parseRdf(EXPRESSIONS_TTL), { namespace: NS });
+  }
+
+  it('should turn union domains and ranges into expression trees', async () => {
+    const vocab = await extract();
+    const member = vocab.properties.find(p => p.localName === 'member');
+    const [domain] = member.domainFormatted;
+    expect(domain.op).toBe('unionOf');
+    expect(domain.members.map(m => m.localName)).toEqual(['Organization', 'Team']);
+    expect(domain.label).toBe('Organization or Team');
+    expect(member.rangeFormatted[0].label).toBe('Person or Agent');
+  });
+
+  it('should count a union domain or range towards each member', async () => {
+    const vocab = await extract();
+    const byName = (n) => vocab.classes.find(c => c.localName === n);
+    expect(byName('Organization').inDomainOf).toEqual(['member']);
+    expect(byName('Team').inDomainOf).toEqual(['member']);
+    expect(byName('Person').inRangeOf.sort()).toEqual(['hasChild', 'member']);
+    const external = vocab.externalClasses.map(c => c.uri);
+    expect(external).toContain('http://xmlns.com/foaf/0.1/Agent');
+    expect(external.every(u => u.startsWith('http://'))).toBe(true);
+  });
+
+  it('should describe restriction and boolean superclasses', async () => {
+    const vocab = await extract();
+    const byName = (n) => vocab.classes.find(c => c.localName === n);
+    expect(byName('Parent').subClassOfFormatted.map(s => s.label)).toEqual(['Person', 'has child min 1']);
+    expect(byName('Human').subClassOfFormatted[0].label).toBe('Person and not Robot');
+    const team = byName('Team').subClassOfFormatted;
+    expect(team.map(s => s.label)).toEqual([
+      'member some (Person or Robot)',
+      'member min 2 Person',
+      'status value active',
+    ]);
+    expect(team[1]).toMatchObject({ op: 'restriction', kind: 'minCardinality', cardinality: 2 });
+    expect(team[1].property.localName).toBe('member');
+    expect(team[1].filler.localName).toBe('Person');
+  });
+
+  it('should not list blank nodes as classes', async () => {
+    const vocab = extractVocabulary(await parseRdf(EXPRESSIONS_TTL));
+    expect(vocab.classes.every(c => c.uri.startsWith(NS))).toBe(true);
+  });
+
+  it('should render expression labels in the bundled templates', async () => {
+    const output = await generateSpec({ rdfPath: EXPRESSIONS_TTL, templatePath: path.resolve('templates/foaf.njk') });
+    expect(output).toContain('having this property implies being a  Organization or Team');
+    expect(output).toContain('member some (Person or Robot)');
+    expect(output).not.toMatch(/href="#term_"/);
+  });
+});
+
+describe('OWL restrictions', () => {
+  const EXPRESSIONS_TTL = path.resolve('test/fixtures/owl/expressions.ttl');
+
+  async function restrictionsOf(localName) {
+    const vocab = extractVocabulary(await parseRdf(EXPRESSIONS_TTL), { namespace: 'http://example.org/agents/' });
+    return vocab.classes.find(c => c.localName === localName).restrictions;
+  }
+
+  const summary = (r) => [r.property.localName, r.kind, r.filler ? r.filler.localName || r.filler.label : null, r.cardinality];
+
+  it('should list restriction superclasses with property, kind, filler and cardinality', async () => {
+    expect((await restrictionsOf('Parent')).map(summary)).toEqual([['hasChild', 'minCardinality', null, 1]]);
+    expect((await restrictionsOf('Team')).map(summary)).toEqual([
+      ['member', 'someValuesFrom', 'Person or Robot', null],
+      ['member', 'minCardinality', 'Person', 2],
+      ['status', 'hasValue', 'active', null],
+    ]);
+    expect(await restrictionsOf('Person')).toEqual([]);
+  });
+
+  it('should include restrictions inside intersections and datatype fillers', async () => {
+    const restrictions = await restrictionsOf('Guardian');
+    expect(restrictions.map(summary)).toEqual([
+      ['hasChild', 'allValuesFrom', 'Person', null],
+      ['status', 'cardinality', 'string', 1],
+    ]);
+    expect(restrictions.map(r => r.constraint)).toEqual(['only', 'exactly 1']);
+    expect(restrictions[1].filler.uri).toBe('http://www.w3.org/2001/XMLSchema#string');
+  });
+
+  it('should show a Constraints table in the bundled templates', async () => {
+    for (const template of ['foaf', 'dcterms', 'dcterms-styled', 'dcterms-hugo']) {
+      const output = await generateSpec({ rdfPath: EXPRESSIONS_TTL, templatePath: path.resolve(`templates/${template}.njk`) });
+      expect(output, template).toContain('Constraints');
+      expect(output, template).toMatch(/has child<\/a><\/td>\s*<td[^>]*>min 1<\/td>/);
+    }
+  });
+});
+
+describe('Class and property hierarchies', () => {
+  const HIERARCHY_TTL = path.resolve('test/fixtures/owl/hierarchy.ttl');
+
+  async function extract() {
+    return extractVocabulary(await parseRdf(HIERARCHY_TTL), { namespace: 'http://example.org/hierarchy/' });
+  }
+  const names = (refs) => refs.map(r => r.localName);
+
+  it('should compute transitive ancestors and descendants of classes', async () => {
+    const vocab = await extract();
+    const byName = (n) => vocab.classes.find(c => c.localName === n);
+    expect(names(byName('Student').ancestors)).toEqual(['Person', 'Thing', 'Agent']);
+    expect(names(byName('Agent').descendants)).toEqual(['Person', 'Organization', 'Student', 'Employee']);
+    expect(names(byName('Chicken').ancestors)).toEqual(['Egg']);
+  });
+
+  it('should group inherited domain properties by the superclass they come from', async () => {
+    const vocab = await extract();
+    const inherited = (n) => vocab.classes.find(c => c.localName === n).inheritedInDomainOf
+      .map(g => [g.from.localName, g.properties]);
+    expect(inherited('Student')).toEqual([['Person', ['givenName', 'nick']], ['Agent', ['name']]]);
+    expect(inherited('Person')).toEqual([['Agent', ['name']]]);
+    expect(inherited('Agent')).toEqual([]);
+  });
+
+  it('should build sub-property inverses and chains', async () => {
+    const vocab = await extract();
+    const byName = (n) => vocab.properties.find(p => p.localName === n);
+    expect(byName('name').hasSubProperty).toEqual([{ localName: 'givenName', label: 'given name' }]);
+    expect(names(byName('name').descendants)).toEqual(['givenName', 'nick']);
+    expect(names(byName('nick').ancestors)).toEqual(['givenName', 'name']);
+    expect(byName('school').hasSubProperty).toEqual([]);
+  });
+
+  it('should expose class and property trees as nested outlines', async () => {
+    const vocab = await extract();
+    const outline = (nodes) => nodes.map(n => n.children.length ? [n.localName, outline(n.children)] : n.localName);
+    expect(outline(vocab.classTree)).toEqual([
+      ['Agent', [['Organization', ['Employee']], ['Person', ['Employee', 'Student']]]],
+      ['Chicken', ['Egg']],
+    ]);
+    expect(outline(vocab.propertyTree)).toEqual([['name', [['givenName', ['nick']]]], 'school']);
+  });
+});
+
+describe('SKOS concept schemes', () => {
+  const COLOURS_TTL = path.resolve('test/fixtures/skos/colours.ttl');
+
+  async function extract(options = {}) {
+    return extractVocabulary(await parseRdf(COLOURS_TTL), options);
+  }
+  const names = (refs) => refs.map(r => r.localName);
+
+  it('should extract concepts with labels, notes and notation', async () => {
+    const vocab = await extract({ languages: ['en'] });
+    const red = vocab.concepts.find(c => c.localName === 'red');
+    expect(red).toMatchObject({
+      label: 'red',
+      prefLabel: 'red',
+      altLabels: ['scarlet', 'crimson'],
+      definition: 'The colour of blood.',
+      notation: 'R',
+      topConceptOf: ['http://example.org/colours/'],
+    });
+    expect(red.variants.prefLabel).toEqual({ en: 'red', fr: 'rouge' });
+    expect(vocab.concepts.find(c => c.localName === 'crimson').scopeNote).toBe('Deep red with a hint of blue.');
+    expect((await extract({ languages: ['fr'] })).concepts.find(c => c.localName === 'red').altLabels).toEqual(['vermillon']);
+  });
+
+  it('should link broader, narrower and related concepts in both directions', async () => {
+    const vocab = await extract();
+    const byName = (n) => vocab.concepts.find(c => c.localName === n);
+    expect(names(byName('red').narrower)).toEqual(['crimson', 'purple']);
+    expect(names(byName('purple').broader)).toEqual(['red', 'blue']);
+    expect(names(byName('navy').broader)).toEqual(['blue']);
+    expect(names(byName('purple').related)).toEqual(['crimson']);
+  });
+
+  it('should describe concept schemes with top concepts and a hierarchy', async () => {
+    const [scheme] = (await extract()).conceptSchemes;
+    expect(scheme.label).toBe('Colours');
+    expect(scheme.definition).toBe('Colour names used in the paint catalogue.');
+    expect(names(scheme.topConcepts)).toEqual(['red', 'blue']);
+    const outline = (nodes) => nodes.map(n => n.children.length ? [n.localName, outline(n.children)] : n.localName);
+    expect(outline(scheme.tree)).toEqual([['blue', ['navy', 'purple']], ['red', ['crimson', 'purple']]]);
+  });
+
+  it('should render a navigable hierarchy with the bundled SKOS template', async () => {
+    const output = await generateSpec({
+      rdfPath: COLOURS_TTL,
+      templatePath: path.resolve('templates/skos.njk'),
+      languages: ['en'],
+    });
+    expect(output).toMatch(/<li><a href="#red">red<\/a>\s*<ul>\s*<li><a href="#crimson">crimson<\/a><\/li>/);
+    expect(output).toContain('<article id="purple">');
+    expect(output).toContain('<dd><a href="#red">red</a>, <a href="#blue">blue</a></dd>');
+    expect(output).toContain('<dd>scarlet, crimson</dd>');
+  });
+});
+
+describe('Deprecated terms', () => {
+  const DEPRECATED_TTL = path.resolve('test/fixtures/deprecated.ttl');
+
+  it('should normalise deprecation flags and replacements', async () => {
+    const vocab = extractVocabulary(await parseRdf(DEPRECATED_TTL), { namespace: 'http://example.org/retired/' });
+    const term = (n) => [...vocab.classes, ...vocab.properties].find(t => t.localName === n);
+    expect(term('Car')).toMatchObject({ deprecated: true, moreInfo: 'Cars turned out to be vehicles.' });
+    expect(term('Car').replacedBy).toEqual([
+      { uri: 'http://example.org/retired/Vehicle', localName: 'Vehicle', label: 'Vehicle', isLocal: true, curie: 'http://example.org/retired/Vehicle' },
+    ]);
+    expect(term('Cart').deprecated).toBe(true);
+    expect(term('wheels').deprecated).toBe(true);
+    expect(term('wheels').replacedBy.map(r => r.uri)).toEqual([
+      'http://example.org/retired/wheelCount',
+      'http://purl.org/example/axles',
+    ]);
+    expect(term('horn').deprecated).toBe(false);
+    expect(term('engine').deprecated).toBe(false);
+    expect(term('Vehicle')).toMatchObject({ deprecated: false, replacedBy: [], moreInfo: '' });
+  });
+
+  it('should sort deprecated terms with archaic ones', async () => {
+    const output = await generateSpec({ rdfPath: DEPRECATED_TTL, templatePath: path.resolve('templates/dcterms.njk') });
+    const order = [...output.matchAll(/<article id="(\w+)">/g)].map(m => m[1]);
+    // Properties: archaic/deprecated (3) before unstatused (4); classes: stable, testing, then deprecated
+    expect(order).toEqual(['horn', 'wheels', 'engine', 'wheelCount', 'Vehicle', 'Wagon', 'Car', 'Cart']);
+  });
+
+  it('should leave archaic terms to the templates', async () => {
+    const dcterms = await generateSpec({ rdfPath: DEPRECATED_TTL, templatePath: path.resolve('templates/dcterms.njk') });
+    expect(dcterms).not.toMatch(/<h3>horn<\/h3>[^<]*<span>Property<\/span>\s*<\/div>\s*<p class="deprecated">/);
+    const foaf = await generateSpec({ rdfPath: DEPRECATED_TTL, templatePath: path.resolve('templates/foaf.njk') });
+    expect(foaf).toContain('<div class="specterm propertyterm archaic " id="term_horn"');
+    expect(foaf).toContain('<div class="specterm classterm archaic " id="term_Cart"');
+  });
+
+  it('should show a superseded-by notice linking to the replacement', async () => {
+    const output = await generateSpec({ rdfPath: DEPRECATED_TTL, templatePath: path.resolve('templates/foaf.njk') });
+    expect(output).toContain('Superseded by <a href="#term_Vehicle">Vehicle</a>. Cars turned out to be vehicles.');
+    expect(output).toContain('Superseded by <a href="#term_wheelCount">wheel count</a>, <a href="http://purl.org/example/axles">axles</a>.');
+    const dcterms = await generateSpec({ rdfPath: DEPRECATED_TTL, templatePath: path.resolve('templates/dcterms.njk') });
+    expect(dcterms).toContain('Deprecated: superseded by <a href="#Vehicle">Vehicle</a>.');
+  });
+});
+
+describe('Ontology header metadata', () => {
+  const ONTOLOGY_TTL = path.resolve('test/fixtures/ontology.ttl');
+
+  it('should read title, version, people, license and preferred prefix from the header', async () => {
+    const meta = extractOntologyMetadata(await parseRdf(ONTOLOGY_TTL), { languages: ['en'] });
+    expect(meta).toEqual({
+      ontology: 'http://example.org/garden',
+      title: 'Garden Vocabulary',
+      description: 'Terms for describing gardens.',
+      versionIri: 'http://example.org/garden/1.2',
+      versionInfo: '1.2',
+      creators: [
+        { name: 'Ada', uri: 'http://example.org/people/ada' },
+        { name: 'Grace', uri: 'http://example.org/grace' },
+      ],
+      contributors: [{ name: 'Alan', uri: '' }],
+      license: 'https://creativecommons.org/licenses/by/4.0/',
+      modified: '2024-05-01',
+      prefix: 'gdn',
+      namespace: 'http://example.org/garden#',
+    });
+    expect(extractOntologyMetadata(await parseRdf(ONTOLOGY_TTL), { languages: ['fr'] }).title).toBe('Vocabulaire du jardin');
+  });
+
+  it('should leave fields empty without a header', async () => {
+    const meta = extractOntologyMetadata(await parseRdf(path.resolve('test/fixtures/example.ttl')));
+    expect(meta).toMatchObject({ ontology: '', title: '', creators: [], prefix: '' });
+  });
+
+  it('should treat a SKOS concept scheme as the header of a thesaurus', async () => {
+    const meta = extractOntologyMetadata(await parseRdf(path.resolve('test/fixtures/skos/colours.ttl')));
+    expect(meta).toMatchObject({ ontology: 'http://example.org/colours/', title: 'Colours' });
+  });
+
+  it('should fill template metadata from the header, with overrides taking precedence', async () => {
+    const templatePath = path.resolve('templates/generic.njk');
+    const output = await generateSpec({ rdfPath: ONTOLOGY_TTL, templatePath });
+    expect(output).toContain('<title>Garden Vocabulary</title>');
+    expect(output).toContain('<a href="http://example.org/garden/1.2">http://example.org/garden/1.2</a> (1.2)');
+    expect(output).toContain('<a href="http://example.org/people/ada">Ada</a>, <a href="http://example.org/grace">Grace</a>');
+    expect(output).toContain('<h3>gdn:Plant</h3>');
+    expect(output).toContain('<a href="https://creativecommons.org/licenses/by/4.0/">');
+
+    const overridden = await generateSpec({ rdfPath: ONTOLOGY_TTL, templatePath, vocabMeta: { title: 'My Garden', prefix: 'g' } });
+    expect(overridden).toContain('<title>My Garden</title>');
+    expect(overridden).toContain('<h3>g:Plant</h3>');
+  });
+});
+
+describe('Namespace and prefix detection', () => {
+  const fixture = (name) => path.resolve(`test/fixtures/namespaces/${name}`);
+  const templatePath = path.resolve('test/fixtures/namespace.njk');
+
+  async function detect(name, options = {}) {
+    const warnings = [];
+    const output = await generateSpec({ rdfPath: fixture(name), templatePath, onWarning: w => warnings.push(w.message), ...options });
+    return { output: output.trim(), warnings };
+  }
+
+  it('should fall back to the most common term URI stem and a declared prefix', async () => {
+    const { output, warnings } = await detect('stem.ttl');
+    expect(output).toBe('http://example.org/plain#|gx|Rock,Stone,');
+    expect(warnings).toEqual([]);
+  });
+
+  it('should add the separator the terms use to an ontology IRI', async () => {
+    expect((await detect('ontology-iri.ttl')).output).toBe('http://example.org/onto#|onto|Leaf,Tree,');
+  });
+
+  it('should prefer vann:preferredNamespaceUri and vann:preferredNamespacePrefix', async () => {
+    expect((await detect('vann.ttl')).output).toBe('http://example.org/v/|vv|Cloud,');
+  });
+
+  it('should warn when detection is ambiguous', async () => {
+    const { output, warnings } = await detect('ambiguous.ttl');
+    expect(output).toBe('http://example.org/a/|a|Cat,');
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatch(/Namespace is ambiguous: rdfs:isDefinedBy points equally at <http:\/\/example.org\/a\/>, <http:\/\/example.org\/b\/>/);
+    expect(warnings[1]).toMatch(/Prefix is ambiguous: .* declared as a, also; using a/);
+  });
+
+  it('should let explicit namespace and prefix override detection', async () => {
+    const { output, warnings } = await detect('ambiguous.ttl', { namespace: 'http://example.org/b/', prefix: 'bee' });
+    expect(output).toBe('http://example.org/b/|bee|Dog,');
+    expect(warnings).toEqual([]);
+  });
+});
+
+describe('External term labels', () => {
+  const LABELS_TTL = path.resolve('test/fixtures/labels/vocab.ttl');
+  const GAZETTEER_TTL = path.resolve('test/fixtures/labels/gazetteer.ttl');
+  const EXTERNAL_NJK = path.resolve('test/fixtures/external-classes.njk');
+
+  it('should label and describe well-known external terms offline', async () => {
+    const output = await generateSpec({ rdfPath: LABELS_TTL, templatePath: EXTERNAL_NJK });
+    expect(output).toContain('ConceptScheme: Concept Scheme - A set of concepts, optionally including statements about semantic relationships between those concepts.');
+    expect(output).toContain('Place: Place - Entities that have a somewhat fixed, physical extension.');
+    expect(output).toContain('owner range Thing');
+    expect(output).toContain('Landmark: Landmark - \n');
+  });
+
+  it('should take labels from user-supplied registry files', async () => {
+    const output = await generateSpec({ rdfPath: LABELS_TTL, templatePath: EXTERNAL_NJK, labelFiles: [GAZETTEER_TTL] });
+    expect(output).toContain('Landmark: Landmark - A well-known feature of a place.');
+    expect(output).toContain('ConceptScheme: Thesaurus - ');
+  });
+
+  it('should not use the registry when replicating the old specgen', async () => {
+    const output = await generateSpec({ rdfPath: LABELS_TTL, templatePath: EXTERNAL_NJK, ancientBugs: {} });
+    expect(output).toContain('ConceptScheme: ConceptScheme - \n');
+    expect(output).toContain('SpatialThing: SpatialThing - \n');
+  });
+
+  it('should give references a prefixed-name display form', async () => {
+    const quads = await parseRdf(LABELS_TTL);
+    const vocab = extractVocabulary(quads, {
+      namespace: 'http://example.org/labels/',
+      prefixes: { 'http://example.org/labels/': 'ex', 'http://www.w3.org/2002/07/owl#': 'owl' },
+    });
+    const owner = vocab.properties.find(p => p.localName === 'owner');
+    expect(owner.rangeFormatted[0].curie).toBe('owl:Thing');
+    expect(owner.domainFormatted[0].curie).toBe('ex:Place');
+    const near = vocab.properties.find(p => p.localName === 'near');
+    expect(near.rangeFormatted[0].curie).toBe('http://example.org/gazetteer/Landmark');
+  });
+
+  it('should prefer the vocabulary\'s own labels over the registry', async () => {
+    const quads = await parseRdf(LABELS_TTL);
+    const vocab = extractVocabulary(quads, {
+      namespace: 'http://example.org/labels/',
+      labelQuads: [DataFactory.quad(
+        DataFactory.namedNode('http://example.org/labels/Place'),
+        DataFactory.namedNode('http://www.w3.org/2000/01/rdf-schema#label'),
+        DataFactory.literal('Registry place'),
+      )],
+    });
+    expect(vocab.properties.find(p => p.localName === 'near').domainFormatted[0].label).toBe('Place');
+  });
+});
+
+describe('Field mapping', () => {
+  const FIELDS_TTL = path.resolve('test/fixtures/fields.ttl');
+  const FIELDS_NS = 'http://example.org/fields/';
+  const fields = {
+    label: ['skos:prefLabel', 'rdfs:label'],
+    comment: ['skos:definition', 'rdfs:comment'],
+    issued: ['dcterms:modified'],
+    domain: ['rdfs:domain', 'schema:domainIncludes'],
+    range: ['rdfs:range', 'schema:rangeIncludes'],
+    editorialNote: ['skos:editorialNote'],
+    tags: { predicates: ['http://example.org/fields/tag'], multiple: true },
+  };
+
+  it('should read standard fields from the mapped predicates in priority order', async () => {
+    const vocab = extractVocabulary(await parseRdf(FIELDS_TTL), { namespace: FIELDS_NS, fields });
+    const recipe = vocab.classes.find(c => c.localName === 'Recipe');
+    const ingredient = vocab.classes.find(c => c.localName === 'Ingredient');
+    expect(recipe).toMatchObject({ label: 'Recipe', comment: 'Instructions for preparing a dish.', issued: '2024-03-01' });
+    expect(recipe.variants.comment).toEqual({ en: 'Instructions for preparing a dish.' });
+    expect(ingredient).toMatchObject({ label: 'Ingredient', comment: 'Something a recipe uses.' });
+    expect(recipe.inDomainOf).toEqual(['ingredient']);
+    expect(ingredient.inRangeOf).toEqual(['ingredient']);
+    const property = vocab.properties[0];
+    expect(property.rangeFormatted.map(r => r.label)).toEqual(['Ingredient', 'Text']);
+  });
+
+  it('should extract custom fields onto every term', async () => {
+    const vocab = extractVocabulary(await parseRdf(FIELDS_TTL), { namespace: FIELDS_NS, fields });
+    const recipe = vocab.classes.find(c => c.localName === 'Recipe');
+    expect(recipe.custom).toEqual({ editorialNote: 'Check against schema:Recipe.', tags: ['cooking', 'food'] });
+    expect(vocab.properties[0].custom).toEqual({ editorialNote: '', tags: [] });
+  });
+
+  it('should keep the default predicates without a mapping', async () => {
+    const vocab = extractVocabulary(await parseRdf(FIELDS_TTL), { namespace: FIELDS_NS });
+    const recipe = vocab.classes.find(c => c.localName === 'Recipe');
+    expect(recipe).toMatchObject({ label: 'Recipe', comment: 'Fallback comment.', issued: '', inDomainOf: [], custom: {} });
+  });
+
+  it('should take predicates without a known prefix as IRIs', async () => {
+    const vocab = extractVocabulary(await parseRdf(FIELDS_TTL), { namespace: FIELDS_NS, fields: { difficulty: 'urn:x-recipes:difficulty' } });
+    expect(vocab.classes.find(c => c.localName === 'Recipe').custom).toEqual({ difficulty: 'easy' });
+  });
+
+  it('should reject predicates that are neither IRIs nor prefixed names', async () => {
+    const quads = await parseRdf(FIELDS_TTL);
+    expect(() => extractVocabulary(quads, { namespace: FIELDS_NS, fields: { comment: ['definition'] } }))
+      .toThrow('Not an IRI or prefixed name in field mapping: definition');
+  });
+
+  it('should reject fields without predicates', async () => {
+    const quads = await parseRdf(FIELDS_TTL);
+    const extract = (fields) => () => extractVocabulary(quads, { namespace: FIELDS_NS, fields });
+    expect(extract({ note: { multiple: true } })).toThrow('Field note needs predicates');
+    expect(extract({ note: null })).toThrow('Field note needs predicates');
+    expect(extract({ comment: [] })).toThrow('Field comment needs predicates');
+    expect(extract({ comment: {} })).toThrow('Field comment needs predicates');
+  });
+});
+
+describe('Doc fragment linkification', () => {
+  const LINKIFY_DIR = path.resolve('test/fixtures/linkify');
+  const render = (options = {}) => generateSpec({
+    rdfPath: path.join(LINKIFY_DIR, 'vocab.ttl'),
+    templatePath: path.join(LINKIFY_DIR, 'fragments.njk'),
+    docDir: path.join(LINKIFY_DIR, 'doc'),
+    ...options,
+  });
+
+  it('should link own, well-known and extra vocabulary prefixes', async () => {
+    const output = await render({ extraRdf: [{ name: 'elements', path: path.join(LINKIFY_DIR, 'elements.ttl') }] });
+    expect(output).toContain("<code><a href='#term_Gadget'>Gadget</a></code>");
+    expect(output).toContain("<code><a href='#elements-title'>dc:title</a></code>");
+    expect(output).toContain("<code><a href='http://www.w3.org/2000/01/rdf-schema#label'>rdfs:label</a></code>");
+    expect(output).toContain('<code>ex:Sprocket</code>');
+    expect(output).toContain('<code>dcat:theme</code>');
+  });
+
+  it('should link own terms to the anchors the template gives them', async () => {
+    const generic = await render({ templatePath: path.resolve('templates/generic.njk') });
+    expect(generic).toContain("<code><a href='#Gadget'>Gadget</a></code>");
+    expect(generic).toContain('<article id="Gadget">');
+    expect(await render({ termAnchor: 'class-{name}' })).toContain("<code><a href='#class-Gadget'>Gadget</a></code>");
+  });
+
+  it('should link well-known prefixes to absolute URIs without extra vocabularies', async () => {
+    const output = await render();
+    expect(output).toContain("<code><a href='http://purl.org/dc/elements/1.1/title'>dc:title</a></code>");
+  });
+
+  it('should take link targets from the prefix map', async () => {
+    const output = await render({ linkTargets: { dcat: 'https://www.w3.org/ns/dcat#{name}', ex: '/terms/{name}.html' } });
+    expect(output).toContain("<code><a href='https://www.w3.org/ns/dcat#theme'>dcat:theme</a></code>");
+    expect(output).toContain("<code><a href='/terms/Sprocket.html'>ex:Sprocket</a></code>");
+  });
+
+  it('should link bare prefixed names outside code and links only when asked', async () => {
+    expect(await render()).toContain('Compare ex:Gadget and');
+    const output = await render({ linkifyBareNames: true });
+    expect(output).toContain("Compare <a href='#term_Gadget'>ex:Gadget</a> and <a href=\"#x\">ex:Gadget</a>,");
+    expect(output).toContain('see http://example.org/ex:Gadget.');
+  });
+
+  it('should only link the own prefix when replicating ancient bugs', async () => {
+    const output = await render({ ancientBugs: { brokenLinks: { linkifyUnknownTerms: true } } });
+    expect(output).toContain("<code><a href='#term_Sprocket'>Sprocket</a></code>");
+    expect(output).toContain('<code>rdfs:label</code>');
+  });
+});
+
+describe('Model export', () => {
+  const SCHEMA_PATH = path.resolve('schema/spec-model.schema.json');
+
+  // Just enough of JSON Schema for spec-model.schema.json: type, const, enum, required,
+  // properties, additionalProperties, items, allOf and local $refs
+  const validate = (schema, value, root = schema, at = '$') => {
+    if (schema.$ref) return validate(root.$defs[schema.$ref.replace('#/$defs/', '')], value, root, at);
+    const errors = [];
+    const typeOf = (v) => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
+    if ('const' in schema && value !== schema.const) errors.push(`${at}: expected ${schema.const}`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: expected one of ${schema.enum.join(', ')}`);
+    if (schema.type && typeOf(value) !== schema.type) return [...errors, `${at}: expected ${schema.type}, got ${typeOf(value)}`];
+    for (const sub of schema.allOf || []) errors.push(...validate(sub, value, root, at));
+    if (typeOf(value) === 'object') {
+      for (const key of schema.required || []) if (!(key in value)) errors.push(`${at}: missing ${key}`);
+      for (const [key, v] of Object.entries(value)) {
+        const sub = schema.properties?.[key] ?? (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+        if (sub) errors.push(...validate(sub, v, root, `${at}.${key}`));
+      }
+    }
+    if (typeOf(value) === 'array' && schema.items) value.forEach((v, i) => errors.push(...validate(schema.items, v, root, `${at}[${i}]`)));
+    return errors;
+  };
+
+  it.each([
+    ['an OWL hierarchy', { rdfPath: path.resolve('test/fixtures/owl/hierarchy.ttl') }],
+    ['OWL class expressions', { rdfPath: path.resolve('test/fixtures/owl/expressions.ttl') }],
+    ['a SKOS concept scheme', { rdfPath: path.resolve('test/fixtures/skos/colours.ttl'), languages: ['fr', 'en'] }],
+    ['deprecated terms', { rdfPath: path.resolve('test/fixtures/deprecated.ttl') }],
+    ['changes since a previous version', {
+      rdfPath: path.resolve('test/fixtures/diff/v2.ttl'),
+      previousRdfPath: path.resolve('test/fixtures/diff/v1.ttl'),
+    }],
+    ['imports and extra vocabularies', {
+      rdfPath: path.resolve('test/fixtures/imports/app.ttl'),
+      catalog: path.resolve('test/fixtures/imports/catalog.json'),
+      extraRdf: [{ name: 'elements', path: path.resolve('test/fixtures/linkify/elements.ttl') }],
+    }],
+    ['doc fragments and custom fields', {
+      rdfPath: path.resolve('test/fixtures/i18n/vocab.ttl'),
+      docDir: path.resolve('test/fixtures/i18n/doc'),
+      fields: { note: ['skos:note'] },
+    }],
+  ])('should match the JSON Schema for %s', async (_, options) => {
+    const schema = JSON.parse(await readFile(SCHEMA_PATH, 'utf-8'));
+    const model = await exportSpecModel(options);
+    expect(validate(schema, model)).toEqual([]);
+  });
+
+  it('should carry the schema version the JSON Schema documents', async () => {
+    const schema = JSON.parse(await readFile(SCHEMA_PATH, 'utf-8'));
+    const model = await exportSpecModel({ rdfPath: path.resolve('test/fixtures/owl/hierarchy.ttl') });
+    expect(model.schemaVersion).toBe(MODEL_SCHEMA_VERSION);
+    expect(schema.properties.schemaVersion.const).toBe(MODEL_SCHEMA_VERSION);
+  });
+
+  it('should be plain JSON data with the values templates see', async () => {
+    const model = await exportSpecModel({ rdfPath: path.resolve('test/fixtures/owl/hierarchy.ttl') });
+    expect(JSON.parse(JSON.stringify(model))).toEqual(model);
+    expect(model.namespace).toBe('http://example.org/hierarchy/');
+    expect(model.classes.map(c => c.localName)).toContain('Person');
+    expect(model.classTree.map(n => n.localName)).toEqual(['Agent', expect.any(String)]);
+    expect(model.properties.find(p => p.localName === 'name').domainFormatted[0]).toMatchObject({ localName: 'Agent', curie: 'ex:Agent' });
+  });
+
+  it('should catch a model that breaks the schema', async () => {
+    const schema = JSON.parse(await readFile(SCHEMA_PATH, 'utf-8'));
+    const model = await exportSpecModel({ rdfPath: path.resolve('test/fixtures/owl/hierarchy.ttl') });
+    delete model.classes[0].localName;
+    model.schemaVersion = 0;
+    expect(validate(schema, model)).toEqual(['$.schemaVersion: expected 1', '$.classes[0]: missing localName']);
+  });
+});